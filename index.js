@@ -3,6 +3,7 @@
 
 var eol = require('eol')
 var fs = require('fs')
+var path = require('path')
 var jsdom = require('jsdom').jsdom
 document = jsdom()
 window = document.defaultView
@@ -10,12 +11,20 @@ var clipboardy = require('clipboardy')
 var git = require('git-rev')
 var prompt = require('cli-input')
 
+var Cache = require('./lib/cache')
 var Generator = require('./lib/generator')
+var Report = require('./lib/report')
+var config = require('./lib/config')
+var http = require('./lib/http')
 var pkg = require('./package.json')
 
 var help = 'Usage:\n' +
     '\n' +
-    '    spotgen input.txt [output.txt]\n' +
+    '    spotgen input.txt [output.txt] [options]\n' +
+    '\n' +
+    'Options: --save name, --dry-run, --no-cache, --cache-dir dir,\n' +
+    '         --concurrency n, --market code, --report file,\n' +
+    '         --strict, --format format\n' +
     '\n' +
     'input.txt is a text file containing a generator string,\n' +
     'invoking any number of generator commands. output.txt\n' +
@@ -37,7 +46,50 @@ var help = 'Usage:\n' +
     'interactively. This saves you the trouble of quoting strings and\n' +
     'escaping newlines.\n' +
     '\n' +
-    'To import the playlist into Spotify:\n' +
+    'To save the playlist directly to your Spotify account, pass\n' +
+    'the --save option with the name of the new playlist:\n' +
+    '\n' +
+    '    spotgen input.txt --save "My Playlist"\n' +
+    '\n' +
+    'The first time, this opens a Spotify login page in your web\n' +
+    'browser. The login is remembered in ~/.spotgen/config.json.\n' +
+    '\n' +
+    'To update an existing playlist instead, add a #sync command\n' +
+    'with the playlist\'s Spotify URI to the generator string.\n' +
+    'Pass --dry-run to see what would change without changing it.\n' +
+    '\n' +
+    'Responses from Spotify and Last.fm are cached in\n' +
+    '~/.spotgen/cache, so that rerunning a generator string is\n' +
+    'faster. Pass --cache-dir dir to use another directory, or\n' +
+    '--no-cache to disable the cache.\n' +
+    '\n' +
+    'Pass --market code (e.g., --market NO) to only include\n' +
+    'tracks that are playable in that country.\n' +
+    '\n' +
+    'By default, entries are looked up one at a time. Pass\n' +
+    '--concurrency n to look up n entries at the same time.\n' +
+    '\n' +
+    'Pass --format m3u, --format m3u8 or --format xspf to write\n' +
+    'a playlist file with the duration, artist, title and album\n' +
+    'of each track, for use in other music players. Pass\n' +
+    '--format json or --format jsonl to write the full track\n' +
+    'data. Other formats are csv, list and uri (the default).\n' +
+    '\n' +
+    'Pass --format lock to write the generator string with the\n' +
+    'Spotify URI of each track, album, artist and playlist that\n' +
+    'was searched for, e.g., "Deerhunter - Desire Lines  #\n' +
+    'spotify:track:...". When the string is run again, these\n' +
+    'entries are looked up by URI, so that they stay the same.\n' +
+    '\n' +
+    'Pass --format markdown or --format html to write a tracklist\n' +
+    'with the artist, title, album, duration and cover of each\n' +
+    'track, and the total duration.\n' +
+    '\n' +
+    'Entries that could not be found are listed after the run.\n' +
+    'Pass --report file to write the list to a file, and --strict\n' +
+    'to exit with a non-zero exit code if the list is not empty.\n' +
+    '\n' +
+    'To import the playlist into Spotify by hand:\n' +
     '\n' +
     '1.  Copy the output of the generator:\n' +
     '    Choose Edit -> Copy (Ctrl + C).\n' +
@@ -46,21 +98,86 @@ var help = 'Usage:\n' +
     '3.  Paste into the playlist:\n' +
     '    Select the playlist and choose Edit -> Paste (Ctrl + V).'
 
+/**
+ * Spotify scopes needed for saving playlists.
+ */
+var scopes = 'playlist-modify-public playlist-modify-private'
+
+/**
+ * Obtain a user-scoped access token if the generator
+ * is to save the playlist to the user's Spotify account.
+ *
+ * If the user has logged in before, the stored refresh token
+ * is used. Otherwise, the user is asked to log in.
+ *
+ * @param {Generator} generator - The generator.
+ * @return {Promise | Generator} The generator.
+ */
+function authorize (generator) {
+  var auth = generator.spotify.auth
+  if (!generator.collection.playlistName &&
+      !generator.collection.syncPlaylist) {
+    return Promise.resolve(generator)
+  }
+  // only refresh if there is a stored refresh token;
+  // otherwise, go straight to the login
+  var ready = auth.loadRefreshToken() ? auth.refreshToken() : Promise.resolve()
+  return ready.then(function () {
+    if (!auth.refresh) {
+      console.log('Log in to Spotify to update your playlists ...')
+      return auth.authorizationCodeFlow(null, scopes)
+    }
+  }).then(function () {
+    return generator
+  })
+}
+
 /**
  * Generator function.
  * @param {string} str - Generator string.
  * @param {output} [output] - Output file.
+ * @param {Object} [options] - Command line options.
  * @return {Promise} A promise.
  */
-function generate (str, output) {
+function generate (str, output, options) {
   output = output || 'STDOUT'
   output = output.trim()
-  var generator = new Generator(str)
-  return generator.generate().then(function (result) {
+  options = options || {}
+  var cache = null
+  if (!options.noCache) {
+    var dir = options.cacheDir || path.join(config.dir, 'cache')
+    cache = new Cache(new Cache.FileStore(dir))
+  }
+  var generator = new Generator(str, {
+    cache: cache,
+    concurrency: options.concurrency,
+    format: options.format,
+    market: options.market
+  })
+  generator.on('request', function (request) {
+    console.log(request.uri)
+  })
+  if (options.save) {
+    generator.collection.playlistName = options.save
+  }
+  if (options.dryRun) {
+    generator.collection.dryRun = true
+  }
+  return authorize(generator).then(function () {
+    return generator.generate()
+  }).then(function (result) {
+    writeReport(generator.report, options)
     if (!result) {
       return
     }
+    var playlist = generator.collection.playlist
+    if (playlist) {
+      console.log('\nSaved to playlist ' + playlist.uri)
+    }
     if (output === 'STDOUT') {
+      if (playlist || generator.collection.changes) {
+        return
+      }
       console.log('')
       if (generator.format === 'uri') {
         console.log(
@@ -89,13 +206,102 @@ function generate (str, output) {
   })
 }
 
+/**
+ * Print why the generator failed, e.g., because the login
+ * was denied or Spotify returned an HTTP error, and exit
+ * with a non-zero exit code.
+ * @param {Error} err - The rejection value.
+ */
+function fail (err) {
+  var reason = http.status(err) ? Report.reason(err)
+      : ((err && err.message) || (err + ''))
+  console.error('\nError: ' + reason)
+  process.exitCode = 1
+}
+
+/**
+ * Print the entries that could not be resolved, the tracks
+ * that were swapped or dropped, and the lines that were
+ * ignored, such as `#where` conditions that could not be parsed.
+ * Only unresolved entries fail the run with `--strict`.
+ * @param {Report} report - The report of the run.
+ * @param {Object} [options] - Command line options.
+ */
+function writeReport (report, options) {
+  options = options || {}
+  var str = report.toString()
+  if (!report.isEmpty()) {
+    console.log('\nCould not find ' + report.unresolved.length +
+                ' entries:\n' + str)
+    if (options.strict) {
+      process.exitCode = 1
+    }
+  }
+  if (report.swaps.length > 0) {
+    console.log('\nSwapped ' + report.swaps.length + ' tracks:\n' +
+                report.swapsToString())
+  }
+  if (report.warnings.length > 0) {
+    console.log('\nIgnored ' + report.warnings.length + ' lines:\n' +
+                report.warningsToString())
+  }
+  if (options.report) {
+    fs.writeFileSync(options.report, eol.auto(str ? str + '\n' : ''))
+    console.log('Wrote report to ' + options.report)
+  }
+}
+
+/**
+ * Parse command line arguments.
+ * @param {Array} args - An array of arguments.
+ * @return {Object} An object containing the input,
+ * the output and the options.
+ */
+function parseArgs (args) {
+  var result = {
+    options: {}
+  }
+  var rest = []
+  args = args.slice()
+  while (args.length > 0) {
+    var arg = args.shift()
+    var match = null
+    if ((match = arg.match(/^--save(=(.*))?$/))) {
+      result.options.save = match[1] ? match[2] : args.shift()
+    } else if (arg.match(/^--dry-?run$/)) {
+      result.options.dryRun = true
+    } else if (arg.match(/^--no-cache$/)) {
+      result.options.noCache = true
+    } else if ((match = arg.match(/^--cache-dir(=(.*))?$/))) {
+      result.options.cacheDir = match[1] ? match[2] : args.shift()
+    } else if ((match = arg.match(/^--report(=(.*))?$/))) {
+      result.options.report = match[1] ? match[2] : args.shift()
+    } else if (arg.match(/^--strict$/)) {
+      result.options.strict = true
+    } else if ((match = arg.match(/^--market(=(.*))?$/))) {
+      result.options.market = (match[1] ? match[2] : args.shift()).toUpperCase()
+    } else if ((match = arg.match(/^--format(=(.*))?$/))) {
+      result.options.format = (match[1] ? match[2] : args.shift()).toLowerCase()
+    } else if ((match = arg.match(/^--concurrency(=(.*))?$/))) {
+      result.options.concurrency = parseInt(match[1] ? match[2] : args.shift())
+    } else {
+      rest.push(arg)
+    }
+  }
+  result.input = rest[0]
+  result.output = rest[1]
+  return result
+}
+
 /**
  * Main method.
  * Invoked when run from the command line.
  */
 function main () {
-  var input = process.argv[2]
-  var output = process.argv[3]
+  var args = parseArgs(process.argv.slice(2))
+  var input = args.input
+  var output = args.output
+  var options = args.options
   var str = input
   if (typeof input === 'string' &&
       input.match(/(^-*h(elp)?$)|(^\/\?$)/gi)) {
@@ -120,19 +326,19 @@ function main () {
       if (str !== '' && str.slice(-1) !== '\n') {
         console.log('')
       }
-      generate(str)
+      generate(str, null, options).catch(fail)
     })
   } else {
     try {
       // is input a file name?
       str = fs.readFileSync(input, 'utf8').toString()
       str = eol.lf(str)
-      generate(str, output)
+      generate(str, output, options).catch(fail)
     } catch (err) {
       // input is generator string; help out primitive shells
       // (e.g., Windows') with newlines
       str = str.replace(/\\n/gi, '\n')
-      generate(str, output)
+      generate(str, output, options).catch(fail)
     }
   }
 }
@@ -96,6 +96,10 @@ Album.prototype.createQueue = function () {
     var track = new Track(self.spotify, self.entry)
     track.clone(item)
     track.album = self.name
+    track.album_type = self.album_type
+    if (self.images && self.images[0]) {
+      track.cover = self.images[0].url
+    }
     return track
   })
   var queue = new Queue(tracks)
@@ -133,9 +137,6 @@ Album.prototype.getAlbum = function (id) {
     return this.spotify.getAlbum(id).then(function (response) {
       self.clone(response.body)
       return self
-    }).catch(function () {
-      console.log('COULD NOT FIND: ' + self.entry)
-      return Promise.reject(null)
     })
   }
 }
@@ -202,7 +203,6 @@ Album.prototype.searchAlbums = function (album, artist) {
         self.clone(response)
         return Promise.resolve(self)
       } else {
-        console.log('COULD NOT FIND: ' + self.entry)
         return Promise.reject(response)
       }
     })
@@ -216,21 +216,20 @@ Album.prototype.searchAlbums = function (album, artist) {
   }
 
   function searchQuery (query) {
-    return search(query).catch(function () {
+    return search(query).catch(function (err) {
       // try again with simplified search query
       var str = util.toAscii(util.stripNoise(query))
       if (str && str !== query) {
         return search(str)
       } else {
-        return Promise.reject(null)
+        return Promise.reject(err)
       }
-    }).catch(function () {
+    }).catch(function (err) {
       // try again as ID
       if (query.match(/^[0-9a-z]+$/i)) {
         return self.getAlbum(query)
       } else {
-        console.log('COULD NOT FIND: ' + self.entry)
-        return Promise.reject(null)
+        return Promise.reject(err)
       }
     })
   }
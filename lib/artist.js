@@ -76,11 +76,11 @@ Artist.prototype.createQueue = function () {
   if (self.limit) {
     albumQueue = albumQueue.slice(0, self.limit)
   }
-  return albumQueue.forEachPromise(function (album) {
+  return albumQueue.forEachPromiseLimit(function (album) {
     return album.getPopularity()
-  }).then(function () {
+  }, self.spotify.concurrency).then(function () {
     albumQueue = albumQueue.sort(sort.album)
-    return albumQueue.dispatch()
+    return albumQueue.dispatch(self.spotify.concurrency)
   }).then(function (queue) {
     return queue.flatten().filter(function (track) {
       return self.name ? track.hasArtist(self.name) : true
@@ -98,9 +98,6 @@ Artist.prototype.dispatch = function () {
     return self.getArtistAlbums()
   }).then(function () {
     return self.createQueue()
-  }).catch(function () {
-    console.log('COULD NOT FIND: ' + self.entry)
-    return Promise.reject(null)
   })
 }
 
@@ -151,21 +148,20 @@ Artist.prototype.searchArtists = function (artist) {
   }
 
   function searchQuery (query) {
-    return search(query).catch(function () {
+    return search(query).catch(function (err) {
       // try again with simplified search query
       var str = util.toAscii(util.stripNoise(query))
       if (str && str !== query) {
         return search(str)
       } else {
-        return Promise.reject(null)
+        return Promise.reject(err)
       }
-    }).catch(function () {
+    }).catch(function (err) {
       // try again as ID
       if (query.match(/^[0-9a-z]+$/i)) {
         return self.getArtistAlbums(query)
       } else {
-        console.log('COULD NOT FIND: ' + self.entry)
-        return Promise.reject(null)
+        return Promise.reject(err)
       }
     })
   }
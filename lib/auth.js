@@ -1,4 +1,6 @@
 var base64 = require('base-64')
+var config = require('./config')
+var crypto = require('crypto')
 var defaults = require('./defaults')
 var http = require('./http')
 var express = require('express')
@@ -13,6 +15,11 @@ var URI = require('urijs')
  * @param {string} [token] - Access token (if already authenticated).
  */
 function SpotifyAuth (clientId, clientKey, token) {
+  /**
+   * Base URI of the accounts service.
+   */
+  this.accounts = 'https://accounts.spotify.com'
+
   /**
    * Client ID.
    */
@@ -23,12 +30,147 @@ function SpotifyAuth (clientId, clientKey, token) {
    */
   this.clientKey = clientKey || defaults.key
 
+  /**
+   * Refresh token, obtained with the Authorization Code Flow.
+   */
+  this.refresh = ''
+
   /**
    * Access token.
    */
   this.token = token || ''
 }
 
+/**
+ * Authenticate with the Authorization Code Flow with Proof Key
+ * for Code Exchange (PKCE).
+ *
+ * Like `implicitGrantFlow()`, this runs a temporary HTTP server and
+ * opens a Spotify login page in a web browser. After the user has
+ * logged in, Spotify redirects to the HTTP server with an
+ * authorization code, which is exchanged for an access token and a
+ * refresh token. The refresh token is stored in the settings file,
+ * so that later sessions can obtain new access tokens without
+ * logging in again.
+ *
+ * [Reference](https://developer.spotify.com/web-api/authorization-guide/#authorization-code-flow).
+ *
+ * @param {string} [clientId] - Client ID.
+ * @param {string} [scopes] - A space-separated list of scopes.
+ * @param {string} [port] - Port number, default 9000.
+ * Must be white-listed by Spotify.
+ * @return {Promise | string} An access token.
+ */
+SpotifyAuth.prototype.authorizationCodeFlow = function (clientId, scopes, port) {
+  var self = this
+  clientId = clientId || this.clientId
+  port = port || 9000
+  var localhost = 'http://localhost:' + port + '/'
+  var verifier = SpotifyAuth.codeVerifier()
+  var challenge = SpotifyAuth.codeChallenge(verifier)
+  var login = this.authorizationCodeFlowURI(localhost, challenge, clientId, scopes)
+  return this.callbackServer(login, port).then(function (params) {
+    if (!params.code) {
+      return Promise.reject(params.error)
+    }
+    return self.authorizationCodeGrant(params.code, localhost, verifier, clientId)
+  })
+}
+
+/**
+ * Authentication URI for the Authorization Code Flow with PKCE.
+ *
+ * [Reference](https://developer.spotify.com/web-api/authorization-guide/#authorization-code-flow).
+ *
+ * @param {string} uri - Redirect URI.
+ * @param {string} challenge - Code challenge.
+ * @param {string} [clientId] - Client ID.
+ * @param {string} [scopes] - A space-separated list of scopes.
+ * @return {string} An authentication URI.
+ */
+SpotifyAuth.prototype.authorizationCodeFlowURI = function (uri, challenge, clientId, scopes) {
+  clientId = clientId || this.clientId
+  var url = this.accounts + '/authorize'
+  url += '/' +
+    '?client_id=' + encodeURIComponent(clientId) +
+    '&response_type=code' +
+    '&redirect_uri=' + encodeURIComponent(uri) +
+    '&code_challenge_method=S256' +
+    '&code_challenge=' + encodeURIComponent(challenge)
+  if (scopes) {
+    url += '&scope=' + encodeURIComponent(scopes)
+  }
+  return url
+}
+
+/**
+ * Exchange an authorization code for an access token
+ * and a refresh token.
+ *
+ * @param {string} code - Authorization code.
+ * @param {string} uri - The redirect URI used to obtain the code.
+ * @param {string} verifier - The code verifier.
+ * @param {string} [clientId] - Client ID.
+ * @return {Promise | string} An access token.
+ */
+SpotifyAuth.prototype.authorizationCodeGrant = function (code, uri, verifier, clientId) {
+  clientId = clientId || this.clientId
+  return this.tokenRequest({
+    'grant_type': 'authorization_code',
+    'code': code,
+    'redirect_uri': uri,
+    'client_id': clientId,
+    'code_verifier': verifier
+  })
+}
+
+/**
+ * Run a temporary HTTP server and open a Spotify login page
+ * in a web browser. Spotify redirects back to the server
+ * after the user has logged in.
+ *
+ * @param {string} login - The URI of the login page.
+ * @param {string} port - Port number.
+ * @return {Promise | Object} The query parameters
+ * of the redirect.
+ */
+SpotifyAuth.prototype.callbackServer = function (login, port) {
+  return new Promise(function (resolve, reject) {
+    var server = express()
+    var http = server.listen(port)
+    server.get('/', function (req, res) {
+      var url = URI(req.url)
+      if (url.query()) {
+        res.send('<script type="text/javascript">window.close()</script>')
+        http.close()
+        req.connection.ref()
+        req.connection.unref()
+        resolve(url.search(true))
+      } else {
+        // the hash fragment is not part of a HTTP request,
+        // so we convert it to a query string (which is!)
+        // and perform a second request against our server
+        var js = 'var hash = window.location.hash\n' +
+            'if (hash) {\n' +
+            'var url = \'/?\' + hash.replace(/^#/, \'\')\n' +
+            'var http = new XMLHttpRequest()\n' +
+            'http.open(\'GET\', url, true)\n' +
+            'http.send(null)\n' +
+            '}\n' +
+            'setTimeout(window.close, 500)'
+        var tag = '<script type="text/javascript">\n' + js + '\n</script>'
+        res.send(tag)
+      }
+    })
+    opn(login, function (err) {
+      if (err) {
+        http.close()
+        reject(err)
+      }
+    })
+  })
+}
+
 /**
  * Authenticate with the Clients Credentials Flow.
  *
@@ -50,7 +192,7 @@ SpotifyAuth.prototype.clientsCredentialsFlow = function (clientId, clientKey, gr
   clientKey = clientKey || this.clientKey
   grantType = grantType || 'client_credentials'
   var auth = 'Basic ' + base64.encode(clientId + ':' + clientKey)
-  var uri = 'https://accounts.spotify.com/api/token'
+  var uri = this.accounts + '/api/token'
   return http(uri, {
     method: 'POST',
     headers: {
@@ -80,13 +222,13 @@ SpotifyAuth.prototype.clientsCredentialsFlow = function (clientId, clientKey, gr
  */
 SpotifyAuth.prototype.implicitGrantFlowURI = function (uri, clientId, scopes) {
   clientId = clientId || this.clientId
-  var url = 'https://accounts.spotify.com/authorize'
+  var url = this.accounts + '/authorize'
   url += '/' +
     '?client_id=' + encodeURIComponent(clientId) +
     '&response_type=token' +
     '&redirect_uri=' + encodeURIComponent(uri)
   if (scopes) {
-    url += '&scope' + encodeURIComponent(scopes)
+    url += '&scope=' + encodeURIComponent(scopes)
   }
   return url
 }
@@ -109,63 +251,100 @@ SpotifyAuth.prototype.implicitGrantFlowURI = function (uri, clientId, scopes) {
  */
 SpotifyAuth.prototype.implicitGrantFlow = function (clientId, scopes, port) {
   var self = this
-  return new Promise(function (resolve, reject) {
-    clientId = clientId || self.clientId
-    port = port || 9000
-    var localhost = 'http://localhost:' + port + '/'
-    var login = self.implicitGrantFlowURI(localhost, clientId, scopes)
-    var server = express()
-    var http = server.listen(port)
-    server.get('/', function (req, res) {
-      var url = URI(req.url)
-      if (url.query()) {
-        http.close()
-        req.connection.ref()
-        req.connection.unref()
-        self.token = url.search(true).access_token
-        if (!self.token) {
-          reject(self.token)
-        } else {
-          resolve(self.token)
-        }
-      } else {
-        // the hash fragment is not part of a HTTP request,
-        // so we convert it to a query string (which is!)
-        // and perform a second request against our server
-        var js = 'var hash = window.location.hash\n' +
-            'if (hash) {\n' +
-            'var url = \'/?\' + hash.replace(/^#/, \'\')\n' +
-            'var http = new XMLHttpRequest()\n' +
-            'http.open(\'GET\', url, true)\n' +
-            'http.send(null)\n' +
-            '}\n' +
-            'setTimeout(window.close, 500)'
-        var tag = '<script type="text/javascript">\n' + js + '\n</script>'
-        res.send(tag)
-      }
-    })
-    opn(login, function (err) {
-      if (err) {
-        http.close()
-        reject(err)
-      }
-    })
+  clientId = clientId || this.clientId
+  port = port || 9000
+  var localhost = 'http://localhost:' + port + '/'
+  var login = this.implicitGrantFlowURI(localhost, clientId, scopes)
+  return this.callbackServer(login, port).then(function (params) {
+    self.token = params.access_token
+    if (!self.token) {
+      return Promise.reject(self.token)
+    } else {
+      return self.token
+    }
   })
 }
 
+/**
+ * Load the refresh token from the settings file,
+ * unless already known.
+ *
+ * @return {string} The refresh token,
+ * or the empty string if not available.
+ */
+SpotifyAuth.prototype.loadRefreshToken = function () {
+  this.refresh = this.refresh || config.load().refreshToken || ''
+  return this.refresh
+}
+
 /**
  * Refresh the bearer access token.
  *
+ * If a refresh token is available, it is used to obtain a new
+ * user-scoped access token. Otherwise, the token is obtained
+ * with the Clients Credentials Flow. A refresh token that is
+ * rejected by the accounts service is removed from the
+ * settings file.
+ *
  * @return {Promise | string} A new bearer access token,
  * or the empty string if not available.
  */
 SpotifyAuth.prototype.refreshToken = function () {
-  return this.clientsCredentialsFlow().then(function (response) {
-    if (response &&
-        response.access_token) {
-      this.token = response.access_token
+  var self = this
+  function clientsCredentials () {
+    return self.clientsCredentialsFlow().then(function (response) {
+      if (response &&
+          response.access_token) {
+        self.token = response.access_token
+      }
+      return self.token
+    })
+  }
+  if (!this.loadRefreshToken()) {
+    return clientsCredentials()
+  }
+  return this.tokenRequest({
+    'grant_type': 'refresh_token',
+    'refresh_token': this.refresh,
+    'client_id': this.clientId
+  }).catch(function (err) {
+    var status = http.status(err)
+    self.refresh = ''
+    if (status === 400 || status === 401) {
+      // the refresh token has been revoked, so forget it,
+      // lest every later run try it again
+      config.save({refreshToken: ''})
     }
-    return this.token
+    return clientsCredentials()
+  })
+}
+
+/**
+ * Request an access token from the accounts service.
+ *
+ * If the response contains a refresh token,
+ * it is stored in the settings file.
+ *
+ * @param {Object} form - Request parameters.
+ * @return {Promise | string} An access token.
+ */
+SpotifyAuth.prototype.tokenRequest = function (form) {
+  var self = this
+  var uri = this.accounts + '/api/token'
+  return http(uri, {
+    method: 'POST',
+    form: form
+  }).then(function (response) {
+    if (!response ||
+        !response.access_token) {
+      return Promise.reject(response)
+    }
+    self.token = response.access_token
+    if (response.refresh_token) {
+      self.refresh = response.refresh_token
+      config.save({refreshToken: self.refresh})
+    }
+    return self.token
   })
 }
 
@@ -183,4 +362,36 @@ SpotifyAuth.prototype.getToken = function () {
   }
 }
 
+/**
+ * Create a random code verifier for the
+ * Authorization Code Flow with PKCE.
+ * @return {string} A code verifier.
+ */
+SpotifyAuth.codeVerifier = function () {
+  return SpotifyAuth.base64url(crypto.randomBytes(64))
+}
+
+/**
+ * Derive the code challenge from a code verifier.
+ * @param {string} verifier - A code verifier.
+ * @return {string} The SHA-256 hash of the verifier,
+ * encoded as URL-safe Base64.
+ */
+SpotifyAuth.codeChallenge = function (verifier) {
+  var hash = crypto.createHash('sha256').update(verifier).digest()
+  return SpotifyAuth.base64url(hash)
+}
+
+/**
+ * Encode a buffer as URL-safe Base64 without padding.
+ * @param {Buffer} buffer - A buffer.
+ * @return {string} An encoded string.
+ */
+SpotifyAuth.base64url = function (buffer) {
+  return buffer.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
 module.exports = SpotifyAuth
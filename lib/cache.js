@@ -0,0 +1,327 @@
+var crypto = require('crypto')
+var fs = require('fs')
+var path = require('path')
+var _ = require('lodash')
+
+/**
+ * Create a response cache.
+ *
+ * The cache stores JSON responses of GET requests, keyed by
+ * URL and query. How long a response is kept depends on the
+ * endpoint (see `Cache.ttl`).
+ *
+ * @constructor
+ * @param {Object} [store] - Storage backend, e.g.,
+ * a `Cache.FileStore` or a `Cache.LocalStorageStore`.
+ * Defaults to a `Cache.MemoryStore`.
+ */
+function Cache (store) {
+  /**
+   * Storage backend.
+   */
+  this.store = store || new Cache.MemoryStore()
+
+  /**
+   * Time to live per endpoint.
+   */
+  this.ttl = Cache.ttl.slice()
+}
+
+/**
+ * Milliseconds per hour.
+ */
+var HOUR = 60 * 60 * 1000
+
+/**
+ * Milliseconds per day.
+ */
+var DAY = 24 * HOUR
+
+/**
+ * Default time to live per endpoint, in milliseconds.
+ * An array of `[regexp, ttl]` pairs; the first pair whose
+ * regular expression matches the URL applies. A time to live
+ * of `0` means that the response is not cached.
+ */
+Cache.ttl = [
+  // user data and playlists change all the time
+  [/\/v1\/me\b/i, 0],
+  [/\/playlists\b/i, 0],
+  // search results and popularity drift slowly
+  [/\/v1\/search\b/i, DAY],
+  [/\/top-tracks\b/i, DAY],
+  [/\/related-artists\b/i, 7 * DAY],
+  [/\/artists\/[^/]+\/albums\b/i, 7 * DAY],
+  // metadata is more or less fixed
+  [/\/audio-features\//i, 30 * DAY],
+  [/\/albums\//i, 7 * DAY],
+  [/\/tracks\//i, 7 * DAY],
+  // Last.fm playcounts
+  [/method=track\.getInfo/i, 7 * DAY],
+  [/.*/, DAY]
+]
+
+/**
+ * Create a cache key for a request.
+ * @param {string} uri - The URI of the request.
+ * @param {Object} [options] - Request options.
+ * @return {string} A cache key.
+ */
+Cache.prototype.key = function (uri, options) {
+  var qs = (options && options.qs) || {}
+  var keys = _.keys(qs).sort()
+  var query = keys.map(function (key) {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(qs[key])
+  }).join('&')
+  if (query) {
+    uri += (uri.match(/\?/) ? '&' : '?') + query
+  }
+  return uri
+}
+
+/**
+ * Get the time to live for a URI.
+ * @param {string} uri - The URI.
+ * @return {integer} The time to live in milliseconds.
+ */
+Cache.prototype.getTTL = function (uri) {
+  var pair = _.find(this.ttl, function (pair) {
+    return uri.match(pair[0])
+  })
+  return pair ? pair[1] : 0
+}
+
+/**
+ * Look up a cached value.
+ * @param {string} key - The cache key.
+ * @return {Object} The cached value,
+ * or `undefined` if not found or expired.
+ */
+Cache.prototype.get = function (key) {
+  var entry = this.store.get(key)
+  if (!entry) {
+    return undefined
+  } else if (entry.expires < Date.now()) {
+    this.store.remove(key)
+    return undefined
+  }
+  return entry.value
+}
+
+/**
+ * Store a value.
+ * @param {string} key - The cache key.
+ * @param {Object} value - The value.
+ * @param {integer} [ttl] - The time to live in milliseconds.
+ * Defaults to the time to live for the key.
+ */
+Cache.prototype.set = function (key, value, ttl) {
+  ttl = (ttl === undefined) ? this.getTTL(key) : ttl
+  if (ttl > 0) {
+    this.store.set(key, {
+      expires: Date.now() + ttl,
+      value: value
+    })
+  }
+}
+
+/**
+ * Perform a request through the cache.
+ *
+ * Only GET requests are cached.
+ *
+ * @param {string} uri - The URI to look up.
+ * @param {Object} options - Request options.
+ * @param {Function} fn - A function performing the request.
+ * Returns a promise.
+ * @return {Promise | JSON} A JSON response.
+ */
+Cache.prototype.request = function (uri, options, fn) {
+  var self = this
+  var method = ((options && options.method) || 'GET').toUpperCase()
+  if (method !== 'GET') {
+    return fn()
+  }
+  var key = this.key(uri, options)
+  var value = this.get(key)
+  if (value !== undefined) {
+    return Promise.resolve(value)
+  }
+  return fn().then(function (response) {
+    if (response && !response.error) {
+      self.set(key, response)
+    }
+    return response
+  })
+}
+
+/**
+ * Create an in-memory store.
+ *
+ * Like the other stores, it keeps copies of the entries,
+ * so that a caller that modifies a value, e.g., sorts the
+ * items of a search response, does not modify the cache.
+ *
+ * @constructor
+ */
+Cache.MemoryStore = function () {
+  /**
+   * Stored entries.
+   */
+  this.entries = {}
+}
+
+/**
+ * Get an entry.
+ * @param {string} key - The key.
+ * @return {Object} A copy of the entry, or `undefined`.
+ */
+Cache.MemoryStore.prototype.get = function (key) {
+  var entry = this.entries[key]
+  return entry ? JSON.parse(JSON.stringify(entry)) : undefined
+}
+
+/**
+ * Remove an entry.
+ * @param {string} key - The key.
+ */
+Cache.MemoryStore.prototype.remove = function (key) {
+  delete this.entries[key]
+}
+
+/**
+ * Set an entry.
+ * @param {string} key - The key.
+ * @param {Object} entry - The entry.
+ */
+Cache.MemoryStore.prototype.set = function (key, entry) {
+  this.entries[key] = JSON.parse(JSON.stringify(entry))
+}
+
+/**
+ * Create a file-backed store.
+ *
+ * Each entry is stored as a JSON file in the cache directory,
+ * named after the SHA-1 hash of its key.
+ *
+ * @constructor
+ * @param {string} dir - The cache directory.
+ */
+Cache.FileStore = function (dir) {
+  /**
+   * Cache directory.
+   */
+  this.dir = dir
+}
+
+/**
+ * Get the file name of an entry.
+ * @param {string} key - The key.
+ * @return {string} A file path.
+ */
+Cache.FileStore.prototype.file = function (key) {
+  var hash = crypto.createHash('sha1').update(key).digest('hex')
+  return path.join(this.dir, hash + '.json')
+}
+
+/**
+ * Get an entry.
+ * @param {string} key - The key.
+ * @return {Object} The entry, or `undefined`.
+ */
+Cache.FileStore.prototype.get = function (key) {
+  try {
+    return JSON.parse(fs.readFileSync(this.file(key), 'utf8'))
+  } catch (err) {
+    return undefined
+  }
+}
+
+/**
+ * Remove an entry.
+ * @param {string} key - The key.
+ */
+Cache.FileStore.prototype.remove = function (key) {
+  try {
+    fs.unlinkSync(this.file(key))
+  } catch (err) {
+    // already removed
+  }
+}
+
+/**
+ * Set an entry.
+ * @param {string} key - The key.
+ * @param {Object} entry - The entry.
+ */
+Cache.FileStore.prototype.set = function (key, entry) {
+  function mkdir (dir) {
+    if (!fs.existsSync(dir)) {
+      mkdir(path.dirname(dir))
+      fs.mkdirSync(dir)
+    }
+  }
+  try {
+    mkdir(this.dir)
+    fs.writeFileSync(this.file(key), JSON.stringify(entry))
+  } catch (err) {
+    // the cache is an optimization,
+    // so failing to write to it is not an error
+  }
+}
+
+/**
+ * Create a store backed by the browser's `localStorage`.
+ * @constructor
+ * @param {Storage} storage - A `Storage` object,
+ * e.g., `window.localStorage`.
+ * @param {string} [prefix] - Prefix for the keys,
+ * default `spotgen:`.
+ */
+Cache.LocalStorageStore = function (storage, prefix) {
+  /**
+   * Key prefix.
+   */
+  this.prefix = prefix || 'spotgen:'
+
+  /**
+   * Storage object.
+   */
+  this.storage = storage
+}
+
+/**
+ * Get an entry.
+ * @param {string} key - The key.
+ * @return {Object} The entry, or `undefined`.
+ */
+Cache.LocalStorageStore.prototype.get = function (key) {
+  try {
+    return JSON.parse(this.storage.getItem(this.prefix + key)) || undefined
+  } catch (err) {
+    return undefined
+  }
+}
+
+/**
+ * Remove an entry.
+ * @param {string} key - The key.
+ */
+Cache.LocalStorageStore.prototype.remove = function (key) {
+  this.storage.removeItem(this.prefix + key)
+}
+
+/**
+ * Set an entry.
+ * @param {string} key - The key.
+ * @param {Object} entry - The entry.
+ */
+Cache.LocalStorageStore.prototype.set = function (key, entry) {
+  try {
+    this.storage.setItem(this.prefix + key, JSON.stringify(entry))
+  } catch (err) {
+    // storage is full
+  }
+}
+
+module.exports = Cache
@@ -1,7 +1,15 @@
+var eol = require('eol')
 var Album = require('./album')
+var Artist = require('./artist')
+var diff = require('./diff')
+var Playlist = require('./playlist')
 var Queue = require('./queue')
+var Recordings = require('./recordings')
+var Report = require('./report')
 var Track = require('./track')
 var sort = require('./sort')
+var util = require('./util')
+var _ = require('lodash')
 
 /**
  * Create a playlist collection.
@@ -14,14 +22,57 @@ function Collection (spotify) {
    */
   this.alternating = null
 
+  /**
+   * Whether to spread the alternating groups evenly,
+   * in proportion to their sizes.
+   */
+  this.alternateProportional = false
+
+  /**
+   * Weights of the alternating groups, in the order
+   * they first appear. See `alternate()`.
+   */
+  this.alternateWeights = null
+
+  /**
+   * Playlist curve, as an object with the properties
+   * `prop`, `shape` and `points`. See `curve()`.
+   */
+  this.curving = null
+
+  /**
+   * Changes made by the last synchronization.
+   */
+  this.changes = null
+
+  /**
+   * Track properties to output in the `csv` format,
+   * e.g., `['uri', 'name', 'tempo']`. If `null`,
+   * the columns in `Track.columns` are used.
+   */
+  this.csvColumns = null
+
+  /**
+   * Whether to only report the changes to Spotify playlists,
+   * without making them.
+   */
+  this.dryRun = false
+
   /**
    * List of entries.
    */
   this.entries = new Queue()
 
+  /**
+   * Filter functions created by `filter()`.
+   * Only entries that satisfy all of them are kept.
+   */
+  this.filters = []
+
   /**
    * Output format.
-   * May be `csv`, `list`, `log` or `uri` (the default).
+   * May be `csv`, `html`, `json`, `jsonl`, `list`, `lock`, `log`,
+   * `markdown`, `m3u`, `m3u8`, `xspf` or `uri` (the default).
    */
   this.format = 'uri'
 
@@ -35,26 +86,128 @@ function Collection (spotify) {
    */
   this.lastfmUser = null
 
+  /**
+   * Maximum total duration of the tracks, in milliseconds.
+   */
+  this.maxDuration = null
+
+  /**
+   * Maximum number of tracks from the same album.
+   */
+  this.maxPerAlbum = null
+
+  /**
+   * Maximum number of tracks by the same artist.
+   */
+  this.maxPerArtist = null
+
+  /**
+   * Maximum number of tracks.
+   */
+  this.maxTracks = null
+
+  /**
+   * Whether the collection is nested in another entry
+   * (e.g., the tracks of a scraped web page).
+   */
+  this.nested = false
+
   /**
    * Playlist order.
+   * The property of the first key in `orderings`.
    */
   this.ordering = null
 
+  /**
+   * Keys to order by, as objects with the properties `prop`
+   * and `direction`. The direction is `asc`, `desc` or `null`
+   * (strings ascending, numbers descending).
+   */
+  this.orderings = []
+
+  /**
+   * Spotify URIs of the tracks, albums, artists and playlists
+   * that were searched for, by line number. See `toLock()`.
+   */
+  this.pins = {}
+
+  /**
+   * Spotify playlist the collection has been saved to.
+   */
+  this.playlist = null
+
+  /**
+   * Name of the Spotify playlist to save the collection to.
+   */
+  this.playlistName = null
+
+  /**
+   * Preferred version of each recording: `original`,
+   * `latest`, `explicit` or `clean`. See `prefer()`.
+   */
+  this.preference = null
+
+  /**
+   * Report of the entries that could not be resolved.
+   */
+  this.report = new Report()
+
   /**
    * Whether to reverse the playlist order.
    */
   this.reverse = false
 
+  /**
+   * Seed for random choices, such as the perturbations
+   * of `#order by flow` and the order of `#shuffle`.
+   * If `null`, the shuffle order is not reproducible.
+   */
+  this.seed = null
+
   /**
    * Whether to shuffle the playlist.
    */
   this.shuffle = false
 
+  /**
+   * Property to keep apart when shuffling, e.g., `artist`.
+   */
+  this.shuffleSpread = null
+
+  /**
+   * Property to shuffle within, e.g., `album`.
+   * Only entries with the same value are shuffled.
+   */
+  this.shuffleWithin = null
+
+  /**
+   * The generator string the collection was parsed from.
+   */
+  this.source = ''
+
+  /**
+   * Spotify playlist to synchronize with the collection.
+   */
+  this.syncPlaylist = null
+
   /**
    * Whether to remove duplicates.
    */
   this.unique = true
 
+  /**
+   * How to detect duplicates: `uri`, `isrc`, `title` or
+   * `title+artist`. If `null`, tracks are compared with
+   * `Track.similarTo()`.
+   */
+  this.uniqueBy = null
+
+  /**
+   * Words of track name suffixes to ignore when detecting
+   * duplicates, e.g., `['remastered', 'live']`.
+   */
+  this.uniqueIgnore = []
+
   /**
    * Spotify request handler.
    */
@@ -72,14 +225,28 @@ Collection.prototype.add = function (entry) {
 
 /**
  * Alternate the collection entries.
+ *
+ * The groups are interleaved round-robin, taking as many
+ * entries from each group as its weight. The weight of a group
+ * is given by `alternateWeights`, or else by the `weight` of
+ * its entries' source lines, and defaults to `1`. If
+ * `alternateProportional` is set, the groups are spread evenly
+ * instead (see `Queue.distribute()`).
  */
 Collection.prototype.alternate = function () {
   var self = this
   if (this.alternating) {
     return this.getProperty(this.alternating).then(function () {
-      return self.entries.alternate(function (track) {
+      var fn = function (track) {
         var prop = track[self.alternating] + ''
         return prop.toLowerCase()
+      }
+      if (self.alternateProportional) {
+        return self.entries.groupBy(fn).distribute()
+      }
+      return self.entries.alternate(fn, function (group, i) {
+        return (self.alternateWeights && self.alternateWeights[i]) ||
+          _.max(_.map(group, 'weight')) || 1
       })
     })
   } else {
@@ -87,15 +254,127 @@ Collection.prototype.alternate = function () {
   }
 }
 
+/**
+ * Swap tracks for their clean or explicit versions,
+ * according to the `censorship` of the request handler.
+ *
+ * A version matches if it has the same name and artist and
+ * a similar duration. With `clean`, explicit tracks without
+ * a clean version are dropped. With `explicit`, tracks without
+ * an explicit version are kept, since most tracks have none.
+ * The swaps are recorded in the collection's report, as are
+ * the tracks that could not be looked up.
+ *
+ * @return {Promise | Queue} A queue of results.
+ */
+Collection.prototype.censor = function () {
+  var self = this
+  var censorship = this.spotify && this.spotify.censorship
+  if (!censorship) {
+    return Promise.resolve(this.entries)
+  }
+  var explicit = (censorship === 'explicit')
+  var reason = censorship + ' version'
+  var dropped = []
+  return this.entries.forEachPromiseLimit(function (entry) {
+    if (!(entry instanceof Track) || !entry.id) {
+      return Promise.resolve(entry)
+    }
+    return entry.getTrack().then(function () {
+      if (Boolean(entry.explicit) === explicit) {
+        return entry
+      }
+      var duration = entry.duration_ms
+      return entry.searchVersion(function (item) {
+        return Boolean(item.explicit) === explicit &&
+          item.is_playable !== false &&
+          (!duration || Math.abs(item.duration_ms - duration) <= Collection.tolerance)
+      }).then(function (item) {
+        var original = {
+          id: entry.id,
+          uri: entry.uri
+        }
+        self.report.addSwap(entry, item, reason)
+        entry.clone(item)
+        entry.linked_from = entry.linked_from || original
+        return entry
+      }, function () {
+        if (explicit) {
+          return entry
+        }
+        self.report.addSwap(entry, null, 'no ' + reason)
+        dropped.push(entry)
+        return Promise.reject(new Error('no ' + reason))
+      })
+    })
+  }, this.getConcurrency()).then(function (queue) {
+    // dropped tracks are already recorded as swaps
+    queue.errors.forEach(function (item) {
+      if (dropped.indexOf(item.entry) < 0) {
+        self.report.add(item.entry, item.error)
+      }
+    })
+    self.entries = queue
+    return self.entries
+  })
+}
+
 /**
  * Remove duplicate entries.
  * @return {Promise | Collection} - Itself.
  */
 Collection.prototype.dedup = function () {
-  if (this.unique) {
-    return this.entries.dedup()
+  var self = this
+  var props = {
+    'uri': 'uri',
+    'isrc': 'external_ids',
+    'title': 'name',
+    'title+artist': 'artist'
   }
-  return Promise.resolve(this.entries)
+  var cmp = this.preference ? sort.prefer(this.preference) : null
+  if (!this.unique) {
+    return Promise.resolve(this.entries)
+  } else if (!props[this.uniqueBy]) {
+    return this.entries.dedup(null, cmp)
+  }
+  return this.getProperty(props[this.uniqueBy]).then(function () {
+    return self.entries.dedup(function (entry) {
+      return self.uniqueKey(entry)
+    }, cmp)
+  })
+}
+
+/**
+ * Arrange the collection entries along a curve.
+ *
+ * The curve is either a list of `points`, which are values
+ * of the property `prop`, or a named `shape` (see `sort.curves`),
+ * which is scaled to the range of the entries' values.
+ *
+ * @return {Promise | Queue} A queue of the arranged entries.
+ */
+Collection.prototype.curve = function () {
+  var self = this
+  var curving = this.curving
+  if (!curving) {
+    return Promise.resolve(this.entries)
+  }
+  return this.getProperty(curving.prop).then(function () {
+    var fn = function (entry) {
+      return entry[curving.prop]
+    }
+    var points = curving.points
+    if (!points) {
+      var values = _.filter(self.entries.toArray().map(fn), _.isFinite)
+      var min = _.min(values) || 0
+      var max = _.max(values) || 0
+      points = sort.curves[curving.shape].map(function (x) {
+        return min + x * (max - min)
+      })
+    }
+    self.entries = new Queue(sort.curve(self.entries.toArray(), fn, points))
+    return self.entries
+  })
 }
 
 /**
@@ -105,15 +384,27 @@ Collection.prototype.dedup = function () {
 Collection.prototype.dispatch = function () {
   var self = this
   return this.getTracks().then(function () {
+    return self.relink()
+  }).then(function () {
+    return self.prefer()
+  }).then(function () {
+    return self.censor()
+  }).then(function () {
     return self.dedup()
+  }).then(function () {
+    return self.filter()
   }).then(function () {
     return self.order()
+  }).then(function () {
+    return self.curve()
   }).then(function () {
     return self.group()
   }).then(function () {
     return self.alternate()
   }).then(function () {
     return self.reorder()
+  }).then(function () {
+    return self.limit()
   })
 }
 
@@ -121,7 +412,8 @@ Collection.prototype.dispatch = function () {
  * Dispatch all the entries in the collection
  * and return the track listing.
  * @param {string} [format] - The output format.
- * May be `csv`, `list`, `log` or `uri` (the default).
+ * May be `csv`, `html`, `json`, `jsonl`, `list`, `lock`, `log`,
+ * `markdown`, `m3u`, `m3u8`, `xspf` or `uri` (the default).
  * @return {Promise | string} A newline-separated list
  * of Spotify URIs.
  */
@@ -129,10 +421,39 @@ Collection.prototype.execute = function (format) {
   var self = this
   this.format = format || this.format
   return this.dispatch().then(function () {
+    return self.save()
+  }).then(function () {
+    return self.sync()
+  }).then(function () {
+    return self.getMetadata()
+  }).then(function () {
     return self.output()
   })
 }
 
+/**
+ * Filter the collection entries.
+ *
+ * Any missing track properties are fetched first,
+ * as with `#order by`.
+ *
+ * @return {Promise | Queue} A queue of the entries
+ * that satisfy all the filters.
+ */
+Collection.prototype.filter = function () {
+  var self = this
+  var ready = Promise.resolve(this.entries)
+  this.filters.forEach(function (fn) {
+    ready = ready.then(function () {
+      return self.getProperty(fn.prop)
+    }).then(function () {
+      self.entries = self.entries.filter(fn)
+      return self.entries
+    })
+  })
+  return ready
+}
+
 /**
  * Iterate over the collection's entries.
  * @param {Function} fn - An iterator function.
@@ -175,27 +496,115 @@ Collection.prototype.forEachTrack = function (fn) {
  */
 Collection.prototype.getLastfm = function () {
   var self = this
-  return this.entries.forEachPromise(function (entry) {
+  return this.entries.forEachPromiseLimit(function (entry) {
     return entry.getLastfm(self.lastfmUser)
-  })
+  }, this.getConcurrency())
+}
+
+/**
+ * Get the maximum number of entries to look up at the same time.
+ * @return {integer} The concurrency of the request handler.
+ */
+Collection.prototype.getConcurrency = function () {
+  return this.spotify ? this.spotify.concurrency : 1
+}
+
+/**
+ * Fetch the metadata needed by the output format.
+ * Playlist formats (`m3u`, `m3u8` and `xspf`) include the
+ * duration, artist, title and album of each track, and
+ * the `json` and `jsonl` formats include the full track, and
+ * the `markdown` and `html` formats include the cover as well.
+ * The `csv` format includes the columns in `csvColumns`.
+ * @return {Promise} A Promise to perform the action.
+ */
+Collection.prototype.getMetadata = function () {
+  var self = this
+  var ready = Promise.resolve(this.entries)
+  if (this.format === 'csv' && this.csvColumns) {
+    this.csvColumns.forEach(function (column) {
+      ready = ready.then(function () {
+        return self.getProperty(column)
+      })
+    })
+  } else if (this.format === 'html' ||
+             this.format === 'json' ||
+             this.format === 'jsonl' ||
+             this.format === 'markdown' ||
+             this.format === 'md' ||
+             this.format === 'm3u' ||
+             this.format === 'm3u8' ||
+             this.format === 'xspf') {
+    ready = this.getProperty('duration_ms')
+  }
+  return ready
 }
 
 /**
  * Get a property for all entries.
  */
 Collection.prototype.getProperty = function (prop) {
-  return this.entries.forEachPromise(function (entry) {
+  return this.entries.forEachPromiseLimit(function (entry) {
     return entry.getProperty(prop)
-  })
+  }, this.getConcurrency())
 }
 
 /**
  * Dispatch the entries in the collection.
+ *
+ * Entries that cannot be resolved are recorded
+ * in the collection's report. The request handler's
+ * event emitter is notified as each entry starts,
+ * resolves or fails.
+ *
  * @return {Promise} A Promise to perform the action.
  */
 Collection.prototype.getTracks = function () {
   var self = this
-  return this.entries.dispatch().then(function (queue) {
+  var done = 0
+  var total = this.entries.size()
+  function progress () {
+    done++
+    self.notify('progress', {
+      done: done,
+      total: total
+    })
+  }
+  return this.entries.forEachPromiseLimit(function (entry) {
+    var data = {
+      entry: entry,
+      kind: Report.kind(entry),
+      line: entry.line
+    }
+    var searched = !entry.id
+    self.notify('entry:start', data)
+    return entry.dispatch().then(function (result) {
+      if (searched && entry.line && pinURI(entry)) {
+        self.pins[entry.line] = pinURI(entry)
+      }
+      if (entry.weight && result instanceof Queue) {
+        // tracks inherit the weight of their source
+        _.flattenDeep(result.toArray()).forEach(function (track) {
+          if (track && !track.weight) {
+            track.weight = entry.weight
+          }
+        })
+      }
+      self.notify('entry:resolved', _.assign({result: result}, data))
+      progress()
+      return result
+    }, function (err) {
+      self.notify('entry:failed', _.assign({
+        error: err,
+        reason: Report.reason(err)
+      }, data))
+      progress()
+      return Promise.reject(err)
+    })
+  }, this.getConcurrency()).then(function (queue) {
+    queue.errors.forEach(function (item) {
+      self.report.add(item.entry, item.error)
+    })
     self.entries = queue.flatten()
     return self.entries
   })
@@ -218,47 +627,206 @@ Collection.prototype.group = function () {
   }
 }
 
+/**
+ * Limit the collection entries.
+ *
+ * Entries are kept in order until the maximum number
+ * of tracks is reached. Entries that would exceed the
+ * maximum duration, or that are by an artist or from an
+ * album that has reached its maximum, are skipped. Since
+ * this is done after ordering, the first entries take
+ * precedence.
+ *
+ * @return {Promise | Queue} A queue of the remaining entries.
+ */
+Collection.prototype.limit = function () {
+  var self = this
+  var ready = Promise.resolve(this.entries)
+  if (!this.maxTracks && !this.maxDuration &&
+      !this.maxPerArtist && !this.maxPerAlbum) {
+    return ready
+  }
+  if (this.maxDuration) {
+    ready = ready.then(function () {
+      return self.getProperty('duration_ms')
+    })
+  }
+  if (this.maxPerArtist) {
+    ready = ready.then(function () {
+      return self.getProperty('artists')
+    })
+  }
+  if (this.maxPerAlbum) {
+    ready = ready.then(function () {
+      return self.getProperty('album')
+    })
+  }
+  return ready.then(function () {
+    var albums = {}
+    var artists = {}
+    var count = 0
+    var duration = 0
+    self.entries = self.entries.filter(function (entry) {
+      var album = (entry.album || '').toLowerCase()
+      var names = (entry.artists || [entry.artist || '']).map(function (name) {
+        return name.toLowerCase()
+      })
+      if (self.maxTracks && count >= self.maxTracks) {
+        return false
+      } else if (self.maxDuration &&
+                 duration + (entry.duration_ms || 0) > self.maxDuration) {
+        return false
+      } else if (self.maxPerArtist && names.some(function (name) {
+        return name && artists[name] >= self.maxPerArtist
+      })) {
+        return false
+      } else if (self.maxPerAlbum && album &&
+                 albums[album] >= self.maxPerAlbum) {
+        return false
+      }
+      count++
+      duration += entry.duration_ms || 0
+      names.forEach(function (name) {
+        artists[name] = (artists[name] || 0) + 1
+      })
+      albums[album] = (albums[album] || 0) + 1
+      return true
+    })
+    return self.entries
+  })
+}
+
 /**
  * Log information about the collection.
  */
 Collection.prototype.log = function () {
   var log = this.toLog()
   if (log) {
-    console.log('\n' + log)
+    this.print('\n' + log)
+  }
+}
+
+/**
+ * Notify the request handler's event emitter of an event.
+ * Nested collections do not notify.
+ * @param {string} event - The name of the event.
+ * @param {Object} data - The event data.
+ */
+Collection.prototype.notify = function (event, data) {
+  if (this.spotify && !this.nested) {
+    this.spotify.notify(event, data)
   }
 }
 
 /**
  * Order the collection entries.
+ *
+ * The entries are ordered by the first key in `orderings`,
+ * then by the next key if equal, and so on. If `orderings`
+ * is empty, they are ordered by `ordering`.
+ *
+ * The `harmonic` and `flow` keys sequence the entries for
+ * harmonic mixing (see `sort.harmonic()`) or smooth transitions
+ * (see `sort.flow()`) after the other keys have been applied,
+ * so that the first entry is the most highly ordered one.
+ *
  * @return {Promise} A Promise to perform the action.
  */
 Collection.prototype.order = function () {
   var self = this
-  if (this.ordering === 'lastfm') {
-    return this.getLastfm().then(function () {
-      return self.entries.sort(sort.lastfm)
+  var keys = this.orderings
+  if (!keys.length && this.ordering) {
+    keys = [{prop: this.ordering, direction: null}]
+  }
+  if (!keys.length) {
+    return Promise.resolve(this.entries)
+  }
+  var ready = Promise.resolve(this.entries)
+  keys.forEach(function (key) {
+    ready = ready.then(function () {
+      if (key.prop === 'lastfm') {
+        return self.getLastfm()
+      } else if (key.prop === 'harmonic' || key.prop === 'flow') {
+        return self.getProperty('tempo')
+      }
+      return self.getProperty(key.prop)
     })
-  } else if (this.ordering) {
-    return this.getProperty(this.ordering).then(function () {
-      return self.entries.sort(function (a, b) {
-        var x = a[self.ordering]
-        var y = b[self.ordering]
-        if (typeof x === 'string') {
-          return (x < y) ? -1 : ((x > y) ? 1 : 0)
-        } else {
-          return (x < y) ? 1 : ((x > y) ? -1 : 0)
-        }
-      })
+  })
+  return ready.then(function () {
+    var fns = keys.filter(function (key) {
+      return key.prop !== 'harmonic' && key.prop !== 'flow'
+    }).map(function (key) {
+      return self.orderBy(key.prop, key.direction)
     })
-  } else {
-    return Promise.resolve(this.entries)
+    if (fns.length) {
+      self.entries.sort(sort.combine.apply(null, fns))
+    }
+    if (_.some(keys, {prop: 'harmonic'})) {
+      self.entries = new Queue(sort.harmonic(self.entries.toArray()))
+    } else if (_.some(keys, {prop: 'flow'})) {
+      self.entries = new Queue(sort.flow(self.entries.toArray(), self.seed))
+    }
+    return self.entries
+  })
+}
+
+/**
+ * Create a comparison function for a collection property.
+ * @param {string} prop - The property to order by.
+ * @param {string} [direction] - `asc` or `desc`. If not given,
+ * strings are ordered ascending and numbers descending.
+ * @return {function} A comparison function.
+ */
+Collection.prototype.orderBy = function (prop, direction) {
+  if (prop === 'lastfm') {
+    if (direction === 'asc') {
+      return function (a, b) {
+        return sort.lastfm(b, a)
+      }
+    }
+    return sort.lastfm
+  }
+  if (!direction) {
+    var value = _.find(this.entries.toArray(), function (entry) {
+      return entry[prop] !== undefined && entry[prop] !== null
+    })
+    direction = (value && typeof value[prop] === 'string') ? 'asc' : 'desc'
+  }
+  var fn = function (entry) {
+    return entry[prop]
+  }
+  return (direction === 'asc') ? sort.ascending(fn) : sort.descending(fn)
+}
+
+/**
+ * The key of an entry for detecting duplicates,
+ * according to `uniqueBy` and `uniqueIgnore`.
+ * @param {Track} entry - The entry.
+ * @return {string} The key, or `null` if there is none.
+ */
+Collection.prototype.uniqueKey = function (entry) {
+  function normalize (str) {
+    str = util.toAscii(str || '')
+    str = util.stripPunctuation(str)
+    str = util.stripWhitespace(str)
+    return str.toLowerCase()
+  }
+  var name = normalize(util.stripSuffixes(entry.name, this.uniqueIgnore))
+  if (this.uniqueBy === 'isrc') {
+    return Recordings.key(entry) || null
+  } else if (this.uniqueBy === 'title') {
+    return name || entry.uri || null
+  } else if (this.uniqueBy === 'title+artist' && name) {
+    return normalize(entry.mainArtist || entry.artist) + ' - ' + name
   }
+  return entry.uri || null
 }
 
 /**
  * Output the contents of the collection.
  * @param {string} [format] - The output format.
- * May be `csv`, `list`, `log` or `uri` (the default).
+ * May be `csv`, `html`, `json`, `jsonl`, `list`, `lock`, `log`,
+ * `markdown`, `m3u`, `m3u8`, `xspf` or `uri` (the default).
  * @return {string} A newline-separated list of Spotify URIs.
  */
 Collection.prototype.output = function (format) {
@@ -268,30 +836,329 @@ Collection.prototype.output = function (format) {
     return this.toArray()
   } else if (format === 'csv') {
     return this.toCSV()
+  } else if (format === 'html') {
+    return this.toHTML()
+  } else if (format === 'json') {
+    return this.toJSONString()
+  } else if (format === 'jsonl') {
+    return this.toJSONLines()
   } else if (format === 'list') {
     return this.toList()
+  } else if (format === 'lock') {
+    return this.toLock()
   } else if (format === 'log') {
     return this.toLog()
+  } else if (format === 'markdown' || format === 'md') {
+    return this.toMarkdown()
+  } else if (format === 'm3u' || format === 'm3u8') {
+    return this.toM3U()
   } else if (format === 'queue') {
     return this.entries
+  } else if (format === 'xspf') {
+    return this.toXSPF()
   } else {
     return this.toURIs()
   }
 }
 
 /**
- * Reverse the order of the entries.
+ * Replace each track with the preferred version of its recording,
+ * according to `preference`. The versions are looked up by ISRC
+ * (see `Recordings`). The source line and weight of the track
+ * are kept.
+ *
+ * Clean and explicit versions usually have different ISRCs,
+ * so with `clean` or `explicit`, a track that has no such version
+ * of its recording is matched by name, artist and duration instead
+ * (as with `censor()`). Tracks without a match are kept.
+ *
+ * @return {Promise | Queue} A queue of results.
+ */
+Collection.prototype.prefer = function () {
+  var self = this
+  if (!this.preference || !this.spotify) {
+    return Promise.resolve(this.entries)
+  }
+  var cmp = sort.prefer(this.preference)
+  var censored = (this.preference === 'clean' ||
+                  this.preference === 'explicit')
+  var explicit = (this.preference === 'explicit')
+  return this.entries.forEachPromiseLimit(function (entry) {
+    if (!(entry instanceof Track) || !entry.id) {
+      return Promise.resolve(entry)
+    }
+    return entry.getTrack().then(function () {
+      return self.spotify.recordings.canonical(entry, cmp)
+    }).then(function (version) {
+      if (!censored || Boolean(version.explicit) === explicit) {
+        return version
+      }
+      var duration = entry.duration_ms
+      return entry.searchVersion(function (item) {
+        return Boolean(item.explicit) === explicit &&
+          item.is_playable !== false &&
+          (!duration || Math.abs(item.duration_ms - duration) <= Collection.tolerance)
+      }).catch(function () {
+        return version
+      })
+    }).then(function (version) {
+      if (version !== entry) {
+        var original = {
+          id: entry.id,
+          uri: entry.uri
+        }
+        entry.clone(version)
+        entry.linked_from = entry.linked_from || original
+      }
+      return entry
+    }).catch(function () {
+      return entry
+    })
+  }, this.getConcurrency())
+}
+
+/**
+ * Print a message with the request handler's logger.
+ * @param {string} message - The message.
+ */
+Collection.prototype.print = function (message) {
+  if (this.spotify) {
+    this.spotify.log(message)
+  } else {
+    console.log(message)
+  }
+}
+
+/**
+ * Relink the tracks that are not playable in the market
+ * of the request handler, if a market is set. Tracks
+ * without a playable version are removed and recorded
+ * in the collection's report.
+ * @return {Promise | Queue} A queue of results.
+ */
+Collection.prototype.relink = function () {
+  var self = this
+  if (!this.spotify || !this.spotify.market) {
+    return Promise.resolve(this.entries)
+  }
+  return this.entries.forEachPromiseLimit(function (entry) {
+    if (entry instanceof Track && entry.id) {
+      return entry.relink()
+    }
+    return Promise.resolve(entry)
+  }, this.getConcurrency()).then(function (queue) {
+    queue.errors.forEach(function (item) {
+      self.report.add(item.entry, item.error)
+    })
+    self.entries = queue
+    return self.entries
+  })
+}
+
+/**
+ * Reverse or shuffle the order of the entries.
  * @return {Promise | Collection} - Itself.
  */
 Collection.prototype.reorder = function () {
+  var self = this
   if (this.reverse) {
     return this.entries.reverse()
   } else if (this.shuffle) {
-    return this.entries.shuffle()
+    var prop = this.shuffleSpread || this.shuffleWithin
+    var random = (this.seed === null) ? undefined : util.random(this.seed)
+    if (!prop) {
+      return this.entries.shuffle(random)
+    }
+    var fn = function (track) {
+      var value = track[prop] + ''
+      return value.toLowerCase()
+    }
+    return this.getProperty(prop).then(function () {
+      if (self.shuffleSpread) {
+        return self.entries.spread(fn, random)
+      }
+      return self.entries.shuffleWithin(fn, random)
+    })
   }
   return Promise.resolve(this.entries)
 }
 
+/**
+ * Divide the tracks into sections for `toMarkdown()` and
+ * `toHTML()`. If `grouping` is set, each run of consecutive
+ * tracks with the same value of the grouping property is
+ * a section. Otherwise, all the tracks are in one section.
+ * @return {Array} An array of sections, as objects with the
+ * properties `name` (`null` if not grouping), `summary`
+ * and `tracks`.
+ */
+Collection.prototype.sections = function () {
+  var self = this
+  var sections = []
+  var section = null
+  this.forEachTrack(function (track) {
+    var name = self.grouping ? (track[self.grouping] + '') : null
+    if (!section || (name + '').toLowerCase() !== (section.name + '').toLowerCase()) {
+      section = {
+        name: name,
+        tracks: []
+      }
+      sections.push(section)
+    }
+    section.tracks.push(track)
+  })
+  sections.forEach(function (section) {
+    section.summary = summarize(section.tracks)
+  })
+  return sections
+}
+
+/**
+ * Save the collection to a new Spotify playlist.
+ *
+ * Requires a user-scoped access token (see
+ * `SpotifyAuth.implicitGrantFlow()`). The tracks
+ * are added in batches of 100.
+ *
+ * @param {string} [name] - The name of the playlist.
+ * @return {Promise | JSON} The created playlist,
+ * or `null` if no name is given.
+ */
+Collection.prototype.save = function (name) {
+  var self = this
+  var owner = null
+  var uris = []
+  name = name || this.playlistName
+  if (!name) {
+    return Promise.resolve(null)
+  }
+  this.forEachTrack(function (track) {
+    uris.push(track.uri)
+  })
+  if (this.dryRun) {
+    this.print('Dry run: would save ' + uris.length +
+               ' tracks to a new playlist "' + name + '"')
+    return Promise.resolve(null)
+  }
+  return this.spotify.getMe().then(function (response) {
+    owner = response.body.id
+    return self.spotify.createPlaylist(owner, name)
+  }).then(function (response) {
+    var playlist = response.body
+    var ready = Promise.resolve(null)
+    _.chunk(uris, 100).forEach(function (batch) {
+      ready = ready.then(function () {
+        return self.spotify.addTracksToPlaylist(owner, playlist.id, batch)
+      })
+    })
+    return ready.then(function () {
+      self.playlist = playlist
+      return playlist
+    })
+  })
+}
+
+/**
+ * Update an existing Spotify playlist to match the collection.
+ *
+ * Rather than recreating the playlist, this function removes,
+ * adds and moves only the tracks that have changed, and prints
+ * a summary of the changes. In a dry run, no changes are made.
+ * Unavailable tracks in the playlist are left in place.
+ *
+ * Requires a user-scoped access token (see
+ * `SpotifyAuth.authorizationCodeFlow()`).
+ *
+ * @param {Playlist} [playlist] - The playlist to update.
+ * @return {Promise | Object} The changes (see `diff()`),
+ * or `null` if there is no playlist to update.
+ */
+Collection.prototype.sync = function (playlist) {
+  var self = this
+  var titles = {}
+  var target = []
+  playlist = playlist || this.syncPlaylist
+  if (!playlist) {
+    return Promise.resolve(null)
+  }
+  var owner = playlist.owner.id
+  var id = playlist.id
+  this.forEachTrack(function (track) {
+    target.push(track.uri)
+    titles[track.uri] = track.title
+  })
+  return playlist.getPlaylist().then(function () {
+    var source = playlist.items.map(function (item, position) {
+      // in a market, Spotify may relink the track to another
+      // version, but the playlist still holds the original URI,
+      // which is the one to remove or move
+      var linked = item.track && item.track.linked_from
+      var uri = (linked && linked.uri) || (item.track && item.track.uri)
+      if (!uri) {
+        // unavailable tracks cannot be removed by URI, so they are
+        // kept as placeholders, both to leave them in the playlist
+        // and to keep the positions of the other tracks right
+        var placeholder = 'unavailable:' + position
+        titles[placeholder] = '(unavailable track)'
+        target.splice(Math.min(position, target.length), 0, placeholder)
+        return placeholder
+      }
+      var track = new Track(self.spotify, uri)
+      track.clone(item.track)
+      titles[uri] = titles[uri] || track.title
+      return uri
+    })
+    var changes = diff(source, target)
+    self.changes = changes
+    var summary = (self.dryRun ? 'Dry run: would sync ' : 'Syncing ') +
+        playlist.uri + ': ' +
+        changes.additions.length + ' added, ' +
+        changes.removals.length + ' removed, ' +
+        changes.moves.length + ' moved'
+    changes.removals.forEach(function (removal) {
+      summary += '\n- ' + (titles[removal.uri] || removal.uri)
+    })
+    changes.additions.forEach(function (uri) {
+      summary += '\n+ ' + (titles[uri] || uri)
+    })
+    changes.moves.forEach(function (move) {
+      summary += '\n~ ' + (titles[move.uri] || move.uri)
+    })
+    self.print(summary)
+    if (self.dryRun) {
+      return changes
+    }
+    var ready = Promise.resolve(null)
+    var removals = _.sortBy(changes.removals, 'position').reverse()
+    _.chunk(removals, 100).forEach(function (batch) {
+      // remove from the end of the playlist so that
+      // the positions of the next batch are unaffected
+      var tracks = _.map(_.groupBy(batch, 'uri'), function (group, uri) {
+        return {
+          uri: uri,
+          positions: _.map(group, 'position')
+        }
+      })
+      ready = ready.then(function () {
+        return self.spotify.removeTracksFromPlaylist(owner, id, tracks)
+      })
+    })
+    _.chunk(changes.additions, 100).forEach(function (batch) {
+      ready = ready.then(function () {
+        return self.spotify.addTracksToPlaylist(owner, id, batch)
+      })
+    })
+    changes.moves.forEach(function (move) {
+      ready = ready.then(function () {
+        return self.spotify.reorderTracksInPlaylist(owner, id, move.from, move.to)
+      })
+    })
+    return ready.then(function () {
+      return changes
+    })
+  })
+}
+
 /**
  * Convert the collection to an array of strings.
  * @return {string} An array of Spotify URIs.
@@ -302,12 +1169,90 @@ Collection.prototype.toArray = function () {
 
 /**
  * Convert the collection to CSV format.
+ * If `csvColumns` is set, the values are preceded
+ * by a header row with the names of the columns.
  * @return {string} A newline-separated list of comma-separated values.
  */
 Collection.prototype.toCSV = function () {
+  var columns = this.csvColumns
   var result = 'sep=,\n'
+  if (columns) {
+    result += columns.join(',') + '\n'
+  }
+  this.forEachTrack(function (track) {
+    result += track.csv(columns) + '\n'
+  })
+  return result.trim()
+}
+
+/**
+ * Convert the collection to an HTML tracklist,
+ * in the same way as `toMarkdown()`.
+ * @return {string} An HTML document.
+ */
+Collection.prototype.toHTML = function () {
+  var esc = util.escapeXml
+  var title = this.playlistName || 'Playlist'
+  var sections = this.sections()
+  var tracks = _.flatten(_.map(sections, 'tracks'))
+  var num = 0
+  var result = '<!DOCTYPE html>\n' +
+      '<html>\n' +
+      '<head>\n' +
+      '  <meta charset="utf-8">\n' +
+      '  <title>' + esc(title) + '</title>\n' +
+      '</head>\n' +
+      '<body>\n' +
+      '  <h1>' + esc(title) + '</h1>\n' +
+      '  <p>' + esc(summarize(tracks)) + '</p>\n'
+  sections.forEach(function (section) {
+    if (section.name !== null) {
+      result += '  <h2>' + esc(section.name) + '</h2>\n' +
+        '  <p>' + esc(section.summary) + '</p>\n'
+    }
+    result += '  <table>\n' +
+      '    <thead>\n' +
+      '      <tr><th>#</th><th>Artist</th><th>Title</th>' +
+      '<th>Album</th><th>Duration</th><th>Cover</th></tr>\n' +
+      '    </thead>\n' +
+      '    <tbody>\n'
+    section.tracks.forEach(function (track) {
+      var cover = track.cover ? ('<a href="' + esc(track.cover) + '">Cover</a>') : ''
+      result += '      <tr><td>' + (++num) + '</td>' +
+        '<td>' + esc(track.artist) + '</td>' +
+        '<td>' + esc(track.name) + '</td>' +
+        '<td>' + esc(track.album) + '</td>' +
+        '<td>' + util.formatDuration(track.duration_ms) + '</td>' +
+        '<td>' + cover + '</td></tr>\n'
+    })
+    result += '    </tbody>\n' +
+      '  </table>\n'
+  })
+  return result + '</body>\n</html>'
+}
+
+/**
+ * Convert the collection to JSON format.
+ * @return {string} A JSON array of track objects
+ * (see `Track.prototype.json()`).
+ */
+Collection.prototype.toJSONString = function () {
+  var result = []
   this.forEachTrack(function (track) {
-    result += track.csv() + '\n'
+    result.push(track.json())
+  })
+  return JSON.stringify(result, null, 2)
+}
+
+/**
+ * Convert the collection to JSON Lines format.
+ * @return {string} A newline-separated list of track objects
+ * (see `Track.prototype.json()`).
+ */
+Collection.prototype.toJSONLines = function () {
+  var result = ''
+  this.forEachTrack(function (track) {
+    result += JSON.stringify(track.json()) + '\n'
   })
   return result.trim()
 }
@@ -324,6 +1269,71 @@ Collection.prototype.toList = function () {
   return result.trim()
 }
 
+/**
+ * Rewrite the generator string with the Spotify URI of each
+ * entry that was searched for, e.g.,
+ * `Deerhunter - Desire Lines  # spotify:track:xxx` or
+ * `#album Deerhunter - Microcastle  # spotify:album:xxx`.
+ * Tracks, albums, artists and playlists are pinned; `#top`
+ * and `#similar` entries are not. When the string is parsed
+ * again, the annotated entries are looked up by URI (see
+ * `Parser.parse()`), so that they stay the same even if the
+ * search results change.
+ * @return {string} The annotated generator string.
+ */
+Collection.prototype.toLock = function () {
+  var self = this
+  return eol.split(this.source).map(function (line, i) {
+    var uri = self.pins[i + 1]
+    var text = line.replace(Collection.pin, '')
+    if (!uri) {
+      return line
+    }
+    return text.replace(/\s+$/, '') + '  # ' + uri
+  }).join('\n')
+}
+
+/**
+ * Convert the collection to a Markdown tracklist.
+ *
+ * The tracklist begins with the name of the playlist and
+ * the number of tracks and their total duration. The tracks
+ * are listed in a numbered table with the artist, title,
+ * album, duration and a link to the album cover. If the
+ * collection is grouped, each group is a section with its
+ * own heading and summary (see `sections()`).
+ *
+ * @return {string} A Markdown document.
+ */
+Collection.prototype.toMarkdown = function () {
+  function esc (str) {
+    return (str || '').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ')
+  }
+  var sections = this.sections()
+  var tracks = _.flatten(_.map(sections, 'tracks'))
+  var num = 0
+  var result = '# ' + esc(this.playlistName || 'Playlist') + '\n\n' +
+      summarize(tracks) + '\n'
+  sections.forEach(function (section) {
+    if (section.name !== null) {
+      result += '\n## ' + esc(section.name) + '\n\n' +
+        section.summary + '\n'
+    }
+    result += '\n| # | Artist | Title | Album | Duration | Cover |\n' +
+      '| ---: | --- | --- | --- | ---: | --- |\n'
+    section.tracks.forEach(function (track) {
+      var cover = track.cover ? ('[Cover](' + track.cover + ')') : ''
+      result += '| ' + (++num) +
+        ' | ' + esc(track.artist) +
+        ' | ' + esc(track.name) +
+        ' | ' + esc(track.album) +
+        ' | ' + util.formatDuration(track.duration_ms) +
+        ' | ' + cover + ' |\n'
+    })
+  })
+  return result.trim()
+}
+
 /**
  * Produce a log string.
  * @return {string} A newline-separated list of track information.
@@ -344,6 +1354,22 @@ Collection.prototype.toLog = function () {
   return result.trim()
 }
 
+/**
+ * Convert the collection to extended M3U format.
+ * The playlist is UTF-8, so it may be saved as `.m3u8`.
+ * @return {string} An M3U playlist.
+ */
+Collection.prototype.toM3U = function () {
+  var result = '#EXTM3U\n'
+  if (this.playlistName) {
+    result += '#PLAYLIST:' + this.playlistName + '\n'
+  }
+  this.forEachTrack(function (track) {
+    result += track.m3u() + '\n'
+  })
+  return result.trim()
+}
+
 /**
  * Convert the collection to a string.
  * @return {string} A newline-separated list of Spotify URIs.
@@ -356,4 +1382,72 @@ Collection.prototype.toURIs = function () {
   return result.trim()
 }
 
+/**
+ * Convert the collection to XSPF format.
+ *
+ * [Reference](http://xspf.org/xspf-v1.html).
+ *
+ * @return {string} An XSPF playlist.
+ */
+Collection.prototype.toXSPF = function () {
+  var result = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n'
+  if (this.playlistName) {
+    result += '  <title>' + util.escapeXml(this.playlistName) + '</title>\n'
+  }
+  result += '  <trackList>\n'
+  this.forEachTrack(function (track) {
+    result += track.xspf() + '\n'
+  })
+  return result + '  </trackList>\n</playlist>'
+}
+
+/**
+ * Summarize a list of tracks.
+ * @param {Array} tracks - The tracks.
+ * @return {string} The number of tracks and their total
+ * duration, e.g., `12 tracks, 48:10`.
+ */
+function summarize (tracks) {
+  var duration = _.sumBy(tracks, function (track) {
+    return track.duration_ms || 0
+  })
+  return tracks.length + (tracks.length === 1 ? ' track, ' : ' tracks, ') +
+    util.formatDuration(duration)
+}
+
+/**
+ * The Spotify URI to pin an entry to (see `toLock()`).
+ * @param {Object} entry - An entry.
+ * @return {string} The URI of the track, album, artist or
+ * playlist, or the empty string if the entry is not pinned.
+ */
+function pinURI (entry) {
+  if (!entry.id) {
+    return ''
+  } else if (entry instanceof Track) {
+    return 'spotify:track:' + entry.id
+  } else if (entry instanceof Album) {
+    return 'spotify:album:' + entry.id
+  } else if (entry instanceof Artist) {
+    return 'spotify:artist:' + entry.id
+  } else if (entry instanceof Playlist && entry.owner && entry.owner.id) {
+    return 'spotify:user:' + entry.owner.id + ':playlist:' + entry.id
+  }
+  return ''
+}
+
+/**
+ * A Spotify URI annotation at the end of a line,
+ * as written by `toLock()`, e.g., `# spotify:track:xxx`
+ * or `# spotify:user:xxx:playlist:xxx`.
+ */
+Collection.pin = /\s+#\s*(spotify:(track|album|artist):[0-9a-z]+|spotify:user:[0-9a-z]+:playlist:[0-9a-z]+)\s*$/i
+
+/**
+ * The maximum difference in duration, in milliseconds,
+ * between a track and its clean or explicit version.
+ */
+Collection.tolerance = 10000
+
 module.exports = Collection
@@ -0,0 +1,66 @@
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var _ = require('lodash')
+
+var config = {}
+
+/**
+ * Directory for storing settings,
+ * located in the user's home directory.
+ */
+config.dir = path.join(os.homedir ? os.homedir() : '', '.spotgen')
+
+/**
+ * Settings file.
+ */
+config.file = path.join(config.dir, 'config.json')
+
+/**
+ * Load the settings file.
+ *
+ * Returns an empty object if the file does not exist
+ * or cannot be read (e.g., when running in a browser).
+ *
+ * @return {Object} The settings.
+ */
+config.load = function () {
+  if (_.isEmpty(fs)) {
+    return {}
+  }
+  try {
+    return JSON.parse(fs.readFileSync(config.file, 'utf8'))
+  } catch (err) {
+    return {}
+  }
+}
+
+/**
+ * Update the settings file.
+ *
+ * The file is readable by the current user only,
+ * as it may contain access credentials.
+ *
+ * @param {Object} settings - The settings to store.
+ * Existing settings not mentioned are kept.
+ * @return {Object} The updated settings.
+ */
+config.save = function (settings) {
+  var result = _.assign(config.load(), settings)
+  if (_.isEmpty(fs)) {
+    return result
+  }
+  try {
+    if (!fs.existsSync(path.dirname(config.file))) {
+      fs.mkdirSync(path.dirname(config.file))
+    }
+    fs.writeFileSync(config.file, JSON.stringify(result, null, 2), {
+      mode: parseInt('600', 8)
+    })
+  } catch (err) {
+    console.log('Could not write to ' + config.file)
+  }
+  return result
+}
+
+module.exports = config
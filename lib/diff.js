@@ -0,0 +1,126 @@
+var _ = require('lodash')
+
+/**
+ * Compute the changes needed to turn one list of Spotify URIs
+ * into another.
+ *
+ * The changes are meant to be applied in three steps:
+ * first the removals, then the additions, and finally the moves.
+ * The number of moves is kept low by leaving the longest
+ * subsequence of tracks that are already in the right order
+ * in place.
+ *
+ * @param {Array} source - The current list of URIs.
+ * @param {Array} target - The desired list of URIs.
+ * @return {Object} An object with the properties `removals`,
+ * an array of `{uri, position}` objects (positions in `source`),
+ * `additions`, an array of URIs to append to the list,
+ * and `moves`, an array of `{uri, from, to}` objects,
+ * where `from` is the index of the track and `to` is the
+ * index of the track it is to be inserted before.
+ */
+function diff (source, target) {
+  var removals = []
+  var additions = []
+  var moves = []
+
+  // remove the tracks not in the target list
+  var kept = []
+  var available = _.countBy(target)
+  source.forEach(function (uri, position) {
+    if (available[uri] > 0) {
+      available[uri]--
+      kept.push(uri)
+    } else {
+      removals.push({
+        uri: uri,
+        position: position
+      })
+    }
+  })
+
+  // add the tracks not in the source list
+  var remaining = _.countBy(kept)
+  target.forEach(function (uri) {
+    if (remaining[uri] > 0) {
+      remaining[uri]--
+    } else {
+      additions.push(uri)
+    }
+  })
+
+  // map each track to its index in the target list
+  var list = kept.concat(additions)
+  var positions = {}
+  target.forEach(function (uri, idx) {
+    positions[uri] = positions[uri] || []
+    positions[uri].push(idx)
+  })
+  var indices = list.map(function (uri) {
+    return positions[uri].shift()
+  })
+
+  // move each track not in the longest increasing subsequence
+  // to the position after its predecessor
+  var fixed = diff.increasing(indices)
+  indices.filter(function (idx) {
+    return !fixed[idx]
+  }).sort(function (a, b) {
+    return a - b
+  }).forEach(function (idx) {
+    var from = indices.indexOf(idx)
+    var to = (idx === 0) ? 0 : (indices.indexOf(idx - 1) + 1)
+    if (to === from || to === from + 1) {
+      return
+    }
+    moves.push({
+      uri: list[from],
+      from: from,
+      to: to
+    })
+    var insert = (to > from) ? (to - 1) : to
+    list.splice(insert, 0, list.splice(from, 1)[0])
+    indices.splice(insert, 0, indices.splice(from, 1)[0])
+  })
+
+  return {
+    removals: removals,
+    additions: additions,
+    moves: moves
+  }
+}
+
+/**
+ * Find the longest increasing subsequence of an array of
+ * distinct integers.
+ * @param {Array} arr - An array of integers.
+ * @return {Object} An object whose keys are the integers
+ * in the subsequence.
+ */
+diff.increasing = function (arr) {
+  var tails = []
+  var previous = []
+  arr.forEach(function (x, i) {
+    var lo = 0
+    var hi = tails.length
+    while (lo < hi) {
+      var mid = Math.floor((lo + hi) / 2)
+      if (arr[tails[mid]] < x) {
+        lo = mid + 1
+      } else {
+        hi = mid
+      }
+    }
+    previous[i] = (lo > 0) ? tails[lo - 1] : -1
+    tails[lo] = i
+  })
+  var result = {}
+  var i = tails.length ? tails[tails.length - 1] : -1
+  while (i >= 0) {
+    result[arr[i]] = true
+    i = previous[i]
+  }
+  return result
+}
+
+module.exports = diff
@@ -0,0 +1,101 @@
+/**
+ * Create a filter function from a condition.
+ *
+ * A condition compares a track property with a value,
+ * e.g., `tempo > 120`, `explicit = false` or
+ * `energy between 0.4 and 0.8`. The supported operators
+ * are `=`, `!=`, `<`, `<=`, `>`, `>=` and `between`.
+ *
+ * @param {string} str - The condition.
+ * @return {function} - A filter function that takes a track
+ * and returns `true` if the track satisfies the condition,
+ * `false` otherwise. Its `prop` property is the name of the
+ * property to compare. Returns `null` if the condition
+ * cannot be parsed.
+ */
+function filter (str) {
+  var match = str.trim().match(/^([\w.]+)\s+between\s+(.+)\s+and\s+(.+)$/i)
+  var fn = null
+  var prop = ''
+  if (match) {
+    prop = match[1]
+    fn = filter.between(filter.value(match[2]), filter.value(match[3]))
+  } else {
+    match = str.trim().match(/^([\w.]+)\s*(==?|!=|<>|<=|>=|<|>)\s*(.+)$/)
+    if (!match) {
+      return null
+    }
+    prop = match[1]
+    fn = filter.compare(match[2], filter.value(match[3]))
+  }
+  prop = prop.toLowerCase()
+  var result = function (track) {
+    return fn(track[prop])
+  }
+  result.prop = prop
+  return result
+}
+
+/**
+ * Create a range test.
+ * @param {number} min - The lower bound (inclusive).
+ * @param {number} max - The upper bound (inclusive).
+ * @return {function} - A function that takes a value
+ * and returns `true` if it is within the range.
+ */
+filter.between = function (min, max) {
+  return function (x) {
+    return x !== undefined && x !== null && x >= min && x <= max
+  }
+}
+
+/**
+ * Create a comparison test.
+ * @param {string} op - The operator.
+ * @param {number | boolean | string} y - The value to compare with.
+ * @return {function} - A function that takes a value
+ * and returns `true` if the comparison holds.
+ */
+filter.compare = function (op, y) {
+  return function (x) {
+    if (x === undefined || x === null) {
+      return false
+    }
+    if (typeof x === 'string' && typeof y === 'string') {
+      x = x.toLowerCase()
+      y = y.toLowerCase()
+    }
+    if (op === '=' || op === '==') {
+      return x === y
+    } else if (op === '!=' || op === '<>') {
+      return x !== y
+    } else if (op === '<') {
+      return x < y
+    } else if (op === '<=') {
+      return x <= y
+    } else if (op === '>') {
+      return x > y
+    } else if (op === '>=') {
+      return x >= y
+    }
+    return false
+  }
+}
+
+/**
+ * Parse a value in a condition.
+ * @param {string} str - The value, e.g., `120`, `false`
+ * or `"Beach House"`.
+ * @return {number | boolean | string} - The parsed value.
+ */
+filter.value = function (str) {
+  str = str.trim()
+  if (str.match(/^-?[0-9]*\.?[0-9]+$/)) {
+    return parseFloat(str)
+  } else if (str.match(/^(true|false)$/i)) {
+    return str.toLowerCase() === 'true'
+  }
+  return str.replace(/^"(.*)"$/, '$1').replace(/^'(.*)'$/, '$1')
+}
+
+module.exports = filter
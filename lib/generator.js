@@ -1,30 +1,79 @@
+var EventEmitter = require('events').EventEmitter
 var defaults = require('./defaults')
+var inherits = require('util').inherits
 var Parser = require('./parser')
 var SpotifyWebApi = require('./spotify')
 
 /**
  * Create a playlist generator.
+ *
+ * The generator is an event emitter. The following
+ * events are emitted during generation:
+ *
+ * - `entry:start`: an entry is being looked up.
+ * - `entry:resolved`: an entry was found.
+ * - `entry:failed`: an entry could not be found.
+ * - `request`: a web request is performed.
+ * - `progress`: the number of entries done and in total.
+ *
+ * The `entry:*` events are passed an object with the
+ * properties `entry`, `kind` and `line`. `entry:resolved`
+ * also has `result`, and `entry:failed` has `error` and `reason`.
+ * The `request` event is passed an object with the properties
+ * `uri` and `method`.
+ *
  * @constructor
  * @param {string} [str] - A newline-separated string of
  * entries on the form `title - artist`. May also contain
  * `#album`, `#artist`, `#order` and `#group` commands.
- * @param {string} [clientId] - Client ID.
- * @param {string} [clientKey] - Client secret key.
- * @param {string} [token] - Access token (if already authenticated).
+ * @param {Object} [options] - Options. For backwards
+ * compatibility, the options may also be given as the
+ * positional arguments `clientId`, `clientKey` and `token`.
+ * @param {string} [options.clientId] - Client ID.
+ * @param {string} [options.clientKey] - Client secret key.
+ * @param {string} [options.token] - Access token
+ * (if already authenticated).
+ * @param {string} [options.market] - Market to look up
+ * tracks in, as a country code.
+ * @param {integer} [options.concurrency] - Maximum number
+ * of entries to look up at the same time.
+ * @param {Cache} [options.cache] - Response cache.
+ * @param {Object} [options.logger] - Logger for progress
+ * messages, e.g., `console` (the default). Must have a `log`
+ * method. Pass `null` to disable logging.
+ * @param {string} [options.format] - The output format.
  */
-function Generator (str, clientId, clientKey, token) {
+function Generator (str, options) {
+  EventEmitter.call(this)
+
+  if (!options || typeof options !== 'object') {
+    options = {
+      clientId: arguments[1],
+      clientKey: arguments[2],
+      token: arguments[3]
+    }
+  }
+
   /**
    * Output format.
-   * May be `csv`, `list`, `log` or `uri`.
+   * May be `csv`, `html`, `json`, `jsonl`, `list`, `lock`, `log`,
+   * `markdown`, `m3u`, `m3u8`, `xspf` or `uri`.
    */
-  this.format = ''
+  this.format = options.format || ''
 
   /**
    * Spotify web API.
    */
-  this.spotify = new SpotifyWebApi(clientId || defaults.id,
-                                   clientKey || defaults.key,
-                                   token)
+  this.spotify = new SpotifyWebApi(options.clientId || defaults.id,
+                                   options.clientKey || defaults.key,
+                                   options.token)
+  this.spotify.emitter = this
+  this.spotify.cache = options.cache || this.spotify.cache
+  this.spotify.concurrency = options.concurrency || this.spotify.concurrency
+  this.spotify.market = options.market || this.spotify.market
+  if (options.logger !== undefined) {
+    this.spotify.logger = options.logger
+  }
 
   /**
    * String parser.
@@ -35,12 +84,20 @@ function Generator (str, clientId, clientKey, token) {
    * Playlist collection.
    */
   this.collection = this.parser.parse(str)
+
+  /**
+   * Report of the entries that could not be resolved.
+   */
+  this.report = this.collection.report
 }
 
+inherits(Generator, EventEmitter)
+
 /**
  * Generate a playlist.
  * @param {string} [format] - The output format.
- * May be `csv`, `list`, `log` or `uri` (the default).
+ * May be `csv`, `html`, `json`, `jsonl`, `list`, `lock`, `log`,
+ * `markdown`, `m3u`, `m3u8`, `xspf` or `uri` (the default).
  * @return {Promise | string} A newline-separated list
  * of Spotify URIs.
  */
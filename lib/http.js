@@ -1,5 +1,6 @@
 var preq = require('preq')
 var request = require('request')
+var URI = require('urijs')
 var _ = require('lodash')
 
 /**
@@ -23,11 +24,55 @@ function http (uri, options) {
         return http.get(uri.replace(/^https:/i, 'http:'), options)
       }
     }
+    throw err
   })
 }
 
+/**
+ * Maximum number of retries per request.
+ */
+http.retries = 5
+
+/**
+ * Base delay of the exponential backoff, in milliseconds.
+ */
+http.backoff = 200
+
+/**
+ * Request budgets, per host.
+ *
+ * A budget limits the number of requests to a host
+ * within a rolling time window (in milliseconds).
+ * Hosts without a budget are only limited by the
+ * delay between requests.
+ */
+http.budgets = {
+  'api.spotify.com': {
+    requests: 150,
+    period: 30000
+  }
+}
+
+/**
+ * Request state, per host.
+ *
+ * Each entry holds the time of the next free request slot
+ * and the start times of the requests within the budget.
+ */
+http.hosts = {}
+
 /**
  * Perform a HTTP request.
+ *
+ * GET requests that fail because of a network error or a server
+ * error (5xx) are retried with exponential backoff. If the
+ * server responds with 429 Too Many Requests, the request is
+ * retried after the time given by the `Retry-After` header.
+ * Other client errors (4xx) are not retried, and neither are
+ * other methods, except on 429: the server may have performed
+ * the request before failing, and retrying it could, e.g.,
+ * add the same tracks to a playlist twice.
+ *
  * @param {string} uri - The URI to look up.
  * @param {Object} [options] - Request options.
  * @return {Promise} A promise.
@@ -38,46 +83,214 @@ http.get = function (uri, options) {
   options.headers = options.headers || {}
   options.headers['User-Agent'] = options.headers['User-Agent'] || agent
   var delay = options.delay || 100
+  var retries = (options.retries === undefined) ? http.retries : options.retries
   options.uri = uri || options.uri
   options.method = options.method || 'GET'
-  options.retries = 5
   if (!_.isEmpty(preq)) {
     options.method = options.method.toLowerCase()
   }
   delete options.delay
+  delete options.retries
+  function attempt (n) {
+    var wait = http.schedule(options.uri, delay)
+    return http.sleep(wait).then(function () {
+      return http.fetch(_.assign({}, options, {
+        headers: _.clone(options.headers)
+      }))
+    }).catch(function (err) {
+      var time = http.retryDelay(err, n, options.method)
+      if (time < 0 || n >= retries) {
+        throw err
+      }
+      if (http.status(err) === 429) {
+        http.pause(options.uri, time)
+      }
+      return http.sleep(time).then(function () {
+        return attempt(n + 1)
+      })
+    })
+  }
+  return attempt(0)
+}
+
+/**
+ * Perform a single HTTP request, without retrying.
+ * @param {Object} options - Request options.
+ * @return {Promise} A promise.
+ */
+http.fetch = function (options) {
   return new Promise(function (resolve, reject) {
-    setTimeout(function () {
-      if (!_.isEmpty(preq)) {
-        preq(options).then(function (res) {
-          resolve(res.body)
-        }).catch(function (err) {
+    if (!_.isEmpty(preq)) {
+      options.retries = 0
+      preq(options).then(function (res) {
+        resolve(res.body)
+      }).catch(function (err) {
+        reject(err)
+      })
+    } else {
+      request(options, function (err, response, body) {
+        if (err) {
+          reject(err)
+        } else if (response.statusCode < 200 ||
+                   response.statusCode >= 300) {
+          err = new Error(response.statusCode + ': http_error')
+          err.status = response.statusCode
+          err.headers = response.headers
+          err.body = body
           reject(err)
-        })
-      } else {
-        request(options, function (err, response, body) {
-          if (err) {
-            reject(err)
-          } else if (response.statusCode !== 200) {
-            reject(response.statusCode)
+        } else {
+          if (typeof body !== 'string') {
+            resolve(body)
+          }
+          try {
+            response = JSON.parse(body)
+          } catch (e) {
+            resolve(body)
+          }
+          if (response.error) {
+            reject(response)
           } else {
-            if (typeof body !== 'string') {
-              resolve(body)
-            }
-            try {
-              response = JSON.parse(body)
-            } catch (e) {
-              resolve(body)
-            }
-            if (response.error) {
-              reject(response)
-            } else {
-              resolve(response)
-            }
+            resolve(response)
           }
-        })
-      }
-    }, delay)
+        }
+      })
+    }
   })
 }
 
+/**
+ * Pause all requests to a host.
+ * @param {string} uri - A URI on the host.
+ * @param {integer} time - The number of milliseconds to pause.
+ */
+http.pause = function (uri, time) {
+  var host = http.host(uri)
+  host.next = Math.max(host.next, Date.now() + time)
+}
+
+/**
+ * Get the request state of a host.
+ * @param {string} uri - A URI on the host.
+ * @return {Object} The request state.
+ */
+http.host = function (uri) {
+  var host = URI(uri).host()
+  http.hosts[host] = http.hosts[host] || {
+    name: host,
+    next: 0,
+    times: []
+  }
+  return http.hosts[host]
+}
+
+/**
+ * How long to wait before retrying a failed request.
+ * @param {Error} err - The error of the failed request.
+ * @param {integer} n - The number of retries so far.
+ * @param {string} [method] - The request method.
+ * Requests other than GET are only retried on 429.
+ * @return {integer} The number of milliseconds to wait,
+ * or -1 if the request should not be retried.
+ */
+http.retryDelay = function (err, n, method) {
+  var status = http.status(err)
+  var idempotent = !method || method.toUpperCase() === 'GET'
+  var backoff = http.backoff * Math.pow(2, n)
+  // equal jitter: half of the delay is random
+  backoff = Math.round(backoff / 2 + Math.random() * backoff / 2)
+  if ((err + '').match(/XHR error/i)) {
+    return -1
+  } else if (status === 429) {
+    var after = http.retryAfter(err)
+    return (after < 0) ? backoff : after
+  } else if (idempotent && (!status || status >= 500)) {
+    return backoff
+  } else {
+    return -1
+  }
+}
+
+/**
+ * Read the `Retry-After` header of a failed request.
+ * The header may be a number of seconds or a date.
+ * @param {Error} err - The error of the failed request.
+ * @return {integer} The number of milliseconds to wait,
+ * or -1 if there is no such header.
+ */
+http.retryAfter = function (err) {
+  var headers = (err && err.headers) || {}
+  var value = headers['retry-after'] || headers['Retry-After']
+  if (value === undefined || value === null) {
+    return -1
+  } else if (('' + value).match(/^\s*[0-9]+\s*$/)) {
+    return parseInt(value) * 1000
+  }
+  var date = Date.parse(value)
+  return isNaN(date) ? -1 : Math.max(0, date - Date.now())
+}
+
+/**
+ * Schedule a request.
+ *
+ * Requests to the same host are spaced at least `delay`
+ * milliseconds apart, so that concurrent lookups do not
+ * exceed the rate limit of the server. If the host has a
+ * budget, the request is postponed until it fits within it.
+ *
+ * @param {string} uri - The URI to look up.
+ * @param {integer} delay - The minimum time between requests.
+ * @return {integer} The number of milliseconds to wait
+ * before performing the request.
+ */
+http.schedule = function (uri, delay) {
+  var host = http.host(uri)
+  var budget = http.budgets[host.name]
+  var now = Date.now()
+  var time = Math.max(now, host.next)
+  if (budget) {
+    host.times = host.times.filter(function (t) {
+      return t > time - budget.period
+    })
+    if (host.times.length >= budget.requests) {
+      var oldest = host.times[host.times.length - budget.requests]
+      time = Math.max(time, oldest + budget.period)
+    }
+    host.times.push(time)
+  }
+  host.next = time + delay
+  return time - now
+}
+
+/**
+ * Wait for a while.
+ * @param {integer} time - The number of milliseconds to wait.
+ * @return {Promise} A promise that resolves after the time has passed.
+ */
+http.sleep = function (time) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, time)
+  })
+}
+
+/**
+ * Get the HTTP status code of a failed request.
+ * @param {Error} err - The error of the failed request.
+ * @return {integer} The status code, or 0 if the request
+ * failed before a response was received.
+ */
+http.status = function (err) {
+  if (!err) {
+    return 0
+  } else if (typeof err === 'number') {
+    return err
+  } else if (err.status) {
+    return parseInt(err.status)
+  } else if (err.error && err.error.status) {
+    return parseInt(err.error.status)
+  } else if (err.statusCode) {
+    return parseInt(err.statusCode)
+  }
+  return 0
+}
+
 module.exports = http
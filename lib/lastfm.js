@@ -1,6 +1,14 @@
 var http = require('./http')
 
-module.exports = function (key) {
+/**
+ * Create a Last.fm API client.
+ * @param {string} key - API key.
+ * @param {SpotifyWebApi} [spotify] - Spotify request handler,
+ * whose response cache and event emitter are used, if any.
+ * @return {Object} A Last.fm API client.
+ */
+module.exports = function (key, spotify) {
+  var cache = spotify ? spotify.cache : null
   var lastfm = {}
 
   /**
@@ -38,12 +46,23 @@ module.exports = function (key) {
   /**
    * Perform a Last.fm request.
    * @param {string} uri - The URI to look up.
+   * @param {Object} options - Request options.
    */
   lastfm.request = function (uri, options) {
-    console.log(uri +
-                '&artist=' + encodeURIComponent(options.qs.artist) +
-                '&track=' + encodeURIComponent(options.qs.track))
+    if (spotify) {
+      spotify.notify('request', {
+        uri: uri +
+          '&artist=' + encodeURIComponent(options.qs.artist) +
+          '&track=' + encodeURIComponent(options.qs.track),
+        method: 'GET'
+      })
+    }
     options.qs.api_key = key
+    if (cache) {
+      return cache.request(uri, options, function () {
+        return http(uri, options)
+      })
+    }
     return http(uri, options)
   }
 
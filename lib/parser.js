@@ -2,11 +2,14 @@ var eol = require('eol')
 var Album = require('./album')
 var Artist = require('./artist')
 var Collection = require('./collection')
+var filter = require('./filter')
 var Playlist = require('./playlist')
 var Similar = require('./similar')
 var Top = require('./top')
 var Track = require('./track')
 var WebScraper = require('./scraper')
+var sort = require('./sort')
+var util = require('./util')
 
 /**
  * Create a parser.
@@ -23,6 +26,14 @@ function Parser (token, handler) {
 
 /**
  * Parse a string and create a playlist collection.
+ *
+ * An entry may be pinned to a track by annotating it with
+ * the track's Spotify URI, e.g., `Deerhunter - Desire Lines
+ * # spotify:track:xxx`. The track is then looked up by URI
+ * instead of searched for (see `Collection.toLock()`).
+ * `#album`, `#artist` and `#playlist` entries may be pinned
+ * in the same way (see `Parser.pin()`).
+ *
  * @param {string} [str] - A newline-separated string of
  * entries on the form `title - artist`. May also contain
  * `#album`, `#artist`, `#order` and `#group` commands.
@@ -30,35 +41,104 @@ function Parser (token, handler) {
  */
 Parser.prototype.parse = function (str) {
   var collection = new Collection(this.spotify)
-  str = str.trim()
+  // only trim the end, so that line numbers are preserved
+  str = str.replace(/\s+$/, '')
+  collection.source = str
   if (str) {
     var lines = eol.split(str)
+    var num = 0
+    var columns = null
     while (lines.length > 0) {
       var match = null
       var line = lines.shift().trim()
-      if ((match = line.match(/^#(sort|order)\s*by\s+([^\s/:]*)([\s/:]+([^\s]*))?/i))) {
-        collection.ordering = match[2].toLowerCase()
-        collection.lastfmUser = match[4]
+      var size = collection.entries.size()
+      var weight = null
+      var skip = 0
+      var header = null
+      var pin = null
+      num++
+      if ((!line.match(/^#/) || line.match(/^#(album|artist|playlist)/i)) &&
+          (match = line.match(Collection.pin))) {
+        pin = match[1]
+        line = line.substr(0, match.index)
+      }
+      if ((match = line.match(/\s+weight\s*=\s*([0-9]*\.?[0-9]+)$/i))) {
+        weight = parseFloat(match[1])
+        line = line.substr(0, match.index)
+      }
+      if ((match = line.match(/^#(sort|order)\s*by\s+(.*)/i))) {
+        this.parseOrder(collection, match[2])
+      } else if ((match = line.match(/^#curve\s+([^\s]+)\s+(.*)/i))) {
+        this.parseCurve(collection, match[1], match[2])
       } else if ((match = line.match(/^#group\s*by\s+(.*)/i))) {
         collection.grouping = match[1].toLowerCase()
       } else if ((match = line.match(/^#(alternate|interleave)\s*BY\s+(.*)/i))) {
-        collection.alternating = match[2].toLowerCase()
+        this.parseAlternate(collection, match[2])
       } else if (line.match(/^#(dup(licates?)?|nonunique|nondistinct)/i)) {
         collection.unique = false
       } else if (line.match(/^#reverse/i)) {
         collection.reverse = true
-      } else if (line.match(/^#shuffle/i)) {
-        collection.shuffle = true
-      } else if (line.match(/^#(unique|distinct)/i)) {
-        collection.unique = true
+      } else if ((match = line.match(/^#shuffle(.*)/i))) {
+        this.parseShuffle(collection, match[1])
+      } else if ((match = line.match(/^#(unique|distinct)(.*)/i))) {
+        this.parseUnique(collection, match[2])
       } else if (line.match(/^#dedup/i)) {
         collection.unique = false
-      } else if (line.match(/^#(csv|cvs)/i)) {
-        collection.format = 'csv'
+      } else if ((match = line.match(/^#sync\s+.*user[:/]([0-9a-z]+)[:/]playlist[:/]([0-9a-z]+)/i))) {
+        collection.syncPlaylist = new Playlist(this.spotify, line, match[1], match[2])
+      } else if (line.match(/^#dry-?run/i)) {
+        collection.dryRun = true
+      } else if ((match = line.match(/^#limit\s+([0-9]+)/i))) {
+        collection.maxTracks = parseInt(match[1])
+      } else if ((match = line.match(/^#duration\s+(.*)/i))) {
+        collection.maxDuration = util.parseDuration(match[1])
+      } else if ((match = line.match(/^#max\s*per\s*artist\s+([0-9]+)/i))) {
+        collection.maxPerArtist = parseInt(match[1])
+      } else if ((match = line.match(/^#max\s*per\s*album\s+([0-9]+)/i))) {
+        collection.maxPerAlbum = parseInt(match[1])
+      } else if ((match = line.match(/^#prefer\s+(original|latest|explicit|clean)\b/i))) {
+        collection.preference = match[1].toLowerCase()
+      } else if ((match = line.match(/^#(clean|explicit)\b/i))) {
+        if (this.spotify) {
+          this.spotify.censorship = match[1].toLowerCase()
+        }
+      } else if ((match = line.match(/^#where\s+(.*)/i))) {
+        var fn = filter(match[1])
+        if (fn) {
+          collection.filters.push(fn)
+        } else {
+          collection.report.addWarning({
+            entry: line,
+            line: num
+          }, 'could not parse #where condition')
+        }
+      } else if ((match = line.match(/^#market\s+([a-z]{2})\b/i))) {
+        if (this.spotify) {
+          this.spotify.market = match[1].toUpperCase()
+        }
+      } else if ((match = line.match(/^#concurrency\s+([0-9]+)/i))) {
+        if (this.spotify) {
+          this.spotify.concurrency = Math.max(1, parseInt(match[1]))
+        }
+      } else if ((match = line.match(/^#save\s+(.*)/i))) {
+        collection.playlistName = match[1].trim().replace(/^"(.*)"$/, '$1')
+      } else if ((match = line.match(/^#(csv|cvs)(.*)/i))) {
+        this.parseCSV(collection, match[2])
+      } else if ((match = line.match(/^#format\s+([a-z0-9]+)/i))) {
+        collection.format = match[1].toLowerCase()
       } else if (line.match(/^##/i) ||
-                 line.match(/^#extm3u/i) ||
+                 line.match(/^#ext(?!inf)/i) ||
+                 line.match(/^#playlist:/i) ||
                  line.match(/^sep=,/i)) {
         // comment
+      } else if (!line) {
+        // a blank line ends CSV rows
+        columns = null
+      } else if (columns && !line.match(/^#/)) {
+        this.parseCSVRow(collection, columns, line)
+      } else if (!line.match(/^#/) &&
+                 (header = this.parseCSVHeader(line))) {
+        columns = header
       } else if ((match = line.match(/^#album((id)?)([0-9]*)\s+(([^\t]*)(\t-\t(.*)|(.*))?)/i))) {
         var album = new Album(this.spotify, match[4], (match[7] ? match[5] : ''), match[7], null, parseInt(match[3]))
         if (match[2]) {
@@ -75,13 +155,9 @@ Parser.prototype.parse = function (str) {
         collection.add(new Playlist(this.spotify, line, match[2], match[3], parseInt(match[1])))
       } else if ((match = line.match(/^#playlist([0-9]*)\s+(.*)/i))) {
         collection.add(new Playlist(this.spotify, match[2], null, null, parseInt(match[1])))
-      } else if ((match = line.match(/^#EXTINF(:[0-9]+,(.*))?/i))) {
+      } else if ((match = line.match(/^#EXTINF(:-?[0-9]+,(.*))?/i))) {
         if (match[1]) {
-          collection.add(new Track(this.spotify, match[2]))
-          if (lines.length > 0 &&
-              !lines[0].match(/^#/)) {
-            lines.shift()
-          }
+          skip = this.parseExtinf(collection, match[2], lines)
         }
       } else if ((match = line.match(/spotify:artist:([0-9a-z]+)/i))) {
         collection.add(new Artist(this.spotify, line, match[1]))
@@ -100,15 +176,330 @@ Parser.prototype.parse = function (str) {
       } else if ((match = line.match(/^([0-9]+ )?https?:\/\/(.*\.)?spotify\.com\/(.*\/)*([0-9a-z]+)/i))) {
         collection.add(new Track(this.spotify, line, null, null, null, match[4]))
       } else if ((match = line.match(/^([0-9]+ )?(https?:.*)/i))) {
-        collection.add(new WebScraper(match[2], parseInt(match[1]), this))
+        var scraper = new WebScraper(match[2], parseInt(match[1]), this)
+        scraper.report = collection.report
+        collection.add(scraper)
       } else if ((match = line.match(/([^\t]*)\t-\t([^\t]*)(\t-\t([^\t]*))?/i))) {
         collection.add(new Track(this.spotify, line, match[1], match[2], match[4]))
       } else if (line) {
         collection.add(new Track(this.spotify, line))
       }
+      // record the source line and weight of the new entries
+      for (var i = size; i < collection.entries.size(); i++) {
+        collection.entries.get(i).line = num
+        if (weight) {
+          collection.entries.get(i).weight = weight
+        }
+        if (pin) {
+          this.pin(collection.entries.get(i), pin)
+        }
+      }
+      num += skip
     }
   }
   return collection
 }
 
+/**
+ * Pin an entry to a Spotify URI, so that it is looked up
+ * by ID instead of searched for. Entries that already have
+ * an ID, or whose kind does not match the URI, are left as is.
+ * @param {Object} entry - A track, album, artist or playlist.
+ * @param {string} uri - A Spotify URI, e.g., `spotify:album:xxx`
+ * or `spotify:user:xxx:playlist:xxx`.
+ */
+Parser.prototype.pin = function (entry, uri) {
+  var parts = uri.split(':')
+  var type = parts[1].toLowerCase()
+  if (entry.id) {
+    return
+  } else if ((type === 'track' && entry instanceof Track) ||
+             (type === 'artist' && entry instanceof Artist)) {
+    entry.id = parts[2]
+  } else if (type === 'album' && entry instanceof Album) {
+    entry.id = parts[2]
+    entry.uri = uri
+  } else if (type === 'user' && entry instanceof Playlist) {
+    entry.owner.id = parts[2]
+    entry.id = parts[4]
+    entry.uri = uri
+  }
+}
+
+/**
+ * Parse an `#alternate by` command.
+ *
+ * The property may be followed by `weights=` and a list of
+ * weights separated by `:`, e.g., `artist weights=3:1`, which
+ * apply to the groups in the order they first appear, or by
+ * `proportional`, which spreads the groups evenly.
+ *
+ * @param {Collection} collection - The collection to alternate.
+ * @param {string} str - The property and its options.
+ */
+Parser.prototype.parseAlternate = function (collection, str) {
+  var match = null
+  collection.alternating = str.trim().split(/\s+/)[0].toLowerCase()
+  if ((match = str.match(/\bweights\s*=\s*([0-9.:]+)/i))) {
+    collection.alternateWeights = match[1].split(':').map(parseFloat)
+  }
+  if (str.match(/\b(proportional|evenly|spread)\b/i)) {
+    collection.alternateProportional = true
+  }
+}
+
+/**
+ * CSV header names and the track properties they map to.
+ * The names are in lower case, without parentheses, e.g.,
+ * `Artist Name(s)` is `artist name`. They include the headers
+ * written by [Exportify](https://github.com/watsonbox/exportify)
+ * and by `Collection.toCSV()`.
+ */
+Parser.csvHeaders = {
+  'album': 'album',
+  'album name': 'album',
+  'artist': 'artist',
+  'artist name': 'artist',
+  'artists': 'artist',
+  'name': 'name',
+  'spotify uri': 'uri',
+  'title': 'name',
+  'track': 'name',
+  'track name': 'name',
+  'track uri': 'uri',
+  'uri': 'uri'
+}
+
+/**
+ * Parse a `#csv` command.
+ *
+ * The command may be followed by `columns=` and a
+ * comma-separated list of track properties to output,
+ * e.g., `columns=uri,name,artist,tempo,energy`.
+ *
+ * @param {Collection} collection - The collection to output.
+ * @param {string} str - The options of the command.
+ */
+Parser.prototype.parseCSV = function (collection, str) {
+  var match = null
+  collection.format = 'csv'
+  if ((match = str.match(/\bcolumns\s*=\s*(.*)/i))) {
+    var columns = match[1].split(/[\s,]+/).filter(function (column) {
+      return column
+    })
+    collection.csvColumns = columns.length > 0 ? columns : null
+  }
+}
+
+/**
+ * Parse the header row of a CSV file.
+ *
+ * A line is a header row if it has at least two fields,
+ * and the fields include a Spotify URI column, or both
+ * a track name column and an artist column
+ * (see `Parser.csvHeaders`).
+ *
+ * @param {string} line - A line.
+ * @return {Array} The track property of each column,
+ * or `null` for columns that are ignored. Returns `null`
+ * if the line is not a header row.
+ */
+Parser.prototype.parseCSVHeader = function (line) {
+  var fields = util.parseCSV(line)
+  if (fields.length < 2) {
+    return null
+  }
+  var columns = fields.map(function (field) {
+    var name = field.replace(/\([^)]*\)/g, '')
+    name = util.stripWhitespace(name).toLowerCase()
+    return Parser.csvHeaders.hasOwnProperty(name) ? Parser.csvHeaders[name] : null
+  })
+  var hasURI = columns.indexOf('uri') >= 0
+  var hasTrack = columns.indexOf('name') >= 0 &&
+      columns.indexOf('artist') >= 0
+  return (hasURI || hasTrack) ? columns : null
+}
+
+/**
+ * Parse a row of a CSV file with a header row.
+ *
+ * If the row has a Spotify URI, the track is added by its ID.
+ * Otherwise, it is searched for by name, artist and album.
+ * Of several comma-separated artists, only the first is used.
+ *
+ * @param {Collection} collection - The collection to add to.
+ * @param {Array} columns - The columns (see `parseCSVHeader()`).
+ * @param {string} line - The row.
+ */
+Parser.prototype.parseCSVRow = function (collection, columns, line) {
+  var fields = util.parseCSV(line)
+  var track = {}
+  columns.forEach(function (column, i) {
+    var value = (fields[i] || '').trim()
+    if (column && value && !track[column]) {
+      track[column] = value
+    }
+  })
+  var match = (track.uri || '').match(/spotify:track:([0-9a-z]+)/i) ||
+      (track.uri || '').match(/^https?:\/\/(.*\.)?spotify\.com\/(.*\/)*track\/([0-9a-z]+)/i)
+  if (match) {
+    collection.add(new Track(this.spotify, line, null, null, null,
+                             match[match.length - 1]))
+  } else if (track.name && track.artist) {
+    var artist = track.artist.split(',')[0].trim()
+    collection.add(new Track(this.spotify, line, artist, track.name, track.album))
+  } else if (track.name) {
+    collection.add(new Track(this.spotify, track.name))
+  }
+}
+
+/**
+ * Parse an `#EXTINF` line of an extended M3U playlist.
+ *
+ * The location of the track is the next line that is not
+ * an `#EXT` line, such as `#EXTALB`. If the location is
+ * a Spotify track URI or URL, the track is added by its ID,
+ * so that exported playlists round-trip; otherwise, the track
+ * is searched for by its title.
+ *
+ * @param {Collection} collection - The collection to add to.
+ * @param {string} title - The title of the track.
+ * @param {Array} lines - The remaining lines.
+ * @return {integer} The number of lines consumed.
+ */
+Parser.prototype.parseExtinf = function (collection, title, lines) {
+  var i = 0
+  while (i < lines.length && lines[i].trim().match(/^#ext(?!inf)/i)) {
+    i++
+  }
+  var location = (i < lines.length) ? lines[i].trim() : ''
+  if (!location || location.match(/^#/)) {
+    collection.add(new Track(this.spotify, title))
+    return 0
+  }
+  var match = location.match(/spotify:track:([0-9a-z]+)/i) ||
+      location.match(/^https?:\/\/(.*\.)?spotify\.com\/(.*\/)*track\/([0-9a-z]+)/i)
+  var id = match ? match[match.length - 1] : null
+  collection.add(new Track(this.spotify, id ? location : title,
+                           null, null, null, id))
+  lines.splice(0, i + 1)
+  return i + 1
+}
+
+/**
+ * Parse a `#unique` command.
+ *
+ * The command may be followed by `by` and the way to detect
+ * duplicates, i.e., `uri`, `isrc`, `title` or `title+artist`,
+ * and by `ignore` and a comma-separated list of suffixes to
+ * ignore, e.g., `by title ignore remastered, live, radio edit`.
+ *
+ * @param {Collection} collection - The collection to deduplicate.
+ * @param {string} str - The options of the command.
+ */
+Parser.prototype.parseUnique = function (collection, str) {
+  var match = null
+  collection.unique = true
+  if ((match = str.match(/\bignor(e|ing)\s+(.*)/i))) {
+    collection.uniqueIgnore = match[2].split(',').map(function (word) {
+      return word.trim().toLowerCase()
+    }).filter(function (word) {
+      return word
+    })
+    collection.uniqueBy = 'title+artist'
+  }
+  if ((match = str.match(/\bby\s+(uri|isrc|title\s*\+\s*artist|title)\b/i))) {
+    collection.uniqueBy = match[1].replace(/\s+/g, '').toLowerCase()
+  }
+}
+
+/**
+ * Parse a `#curve` command.
+ *
+ * The curve is either the name of a shape in `sort.curves`,
+ * e.g., `rise` or `arc`, or a list of values separated by
+ * commas, e.g., `90,130,160,100`.
+ *
+ * @param {Collection} collection - The collection to arrange.
+ * @param {string} prop - The property to arrange by.
+ * @param {string} str - The curve.
+ */
+Parser.prototype.parseCurve = function (collection, prop, str) {
+  var shape = str.trim().toLowerCase()
+  var points = shape.split(/\s*,\s*|\s+/).map(parseFloat)
+  if (sort.curves.hasOwnProperty(shape)) {
+    points = null
+  } else if (points.some(isNaN)) {
+    return
+  } else {
+    shape = null
+  }
+  collection.curving = {
+    prop: prop.toLowerCase(),
+    shape: shape,
+    points: points
+  }
+}
+
+/**
+ * Parse a `#shuffle` command.
+ *
+ * The command may be followed by `spread` or `within` and
+ * a property, e.g., `spread artist` or `within album`,
+ * and by a seed, e.g., `seed=42`.
+ *
+ * @param {Collection} collection - The collection to shuffle.
+ * @param {string} str - The options of the command.
+ */
+Parser.prototype.parseShuffle = function (collection, str) {
+  var match = null
+  collection.shuffle = true
+  if ((match = str.match(/\bseed\s*=\s*([0-9]+)/i))) {
+    collection.seed = parseInt(match[1])
+  }
+  if ((match = str.match(/\bspread\s+(?:by\s+)?([^\s]+)/i))) {
+    collection.shuffleSpread = match[1].toLowerCase()
+  } else if ((match = str.match(/\bwithin\s+([^\s]+)/i))) {
+    collection.shuffleWithin = match[1].toLowerCase()
+  }
+}
+
+/**
+ * Parse the keys of an `#order by` command.
+ *
+ * The keys are separated by commas, and each key may be
+ * followed by `asc` or `desc`, e.g., `artist asc, popularity desc`.
+ * A Last.fm key may be followed by a username instead,
+ * e.g., `lastfm:username`, and a `flow` key by a seed,
+ * e.g., `flow seed=42`.
+ *
+ * @param {Collection} collection - The collection to order.
+ * @param {string} str - The keys.
+ */
+Parser.prototype.parseOrder = function (collection, str) {
+  collection.orderings = []
+  str.split(',').forEach(function (key) {
+    var match = key.trim().match(/^([^\s/:]+)([\s/:]+([^\s]*))?/)
+    if (!match) {
+      return
+    }
+    var prop = match[1].toLowerCase()
+    var direction = null
+    if (match[3] && match[3].match(/^asc(ending)?$/i)) {
+      direction = 'asc'
+    } else if (match[3] && match[3].match(/^desc(ending)?$/i)) {
+      direction = 'desc'
+    } else if (match[3] && match[3].match(/^seed=[0-9]+$/i)) {
+      collection.seed = parseInt(match[3].split('=')[1])
+    } else if (match[3] && prop === 'lastfm') {
+      collection.lastfmUser = match[3]
+    }
+    collection.orderings.push({
+      prop: prop,
+      direction: direction
+    })
+  })
+  collection.ordering = collection.orderings.length ? collection.orderings[0].prop : null
+}
+
 module.exports = Parser
@@ -136,9 +136,6 @@ Playlist.prototype.searchPlaylists = function () {
       } else {
         return Promise.reject(response)
       }
-    }).catch(function () {
-      // console.log('COULD NOT FIND ' + self.entry)
-      return Promise.reject(null)
     })
   }
 }
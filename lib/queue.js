@@ -7,6 +7,12 @@ var sort = require('./sort')
  * @param {Array} [arr] - An array of playlist entries.
  */
 function Queue (arr) {
+  /**
+   * Rejections recorded by Queue.forEachPromise(),
+   * as objects with the properties `entry` and `error`.
+   */
+  this.errors = []
+
   /**
    * Array of entries.
    */
@@ -31,11 +37,13 @@ Queue.prototype.add = function (entry) {
  * @param {Function} fn - A grouping function.
  * Takes an entry as input and returns a grouping key,
  * a string, as output.
+ * @param {Array | Function} [weight] - Group weights
+ * (see `Queue.interleave()`).
  * @return {Queue} - Itself.
  */
-Queue.prototype.alternate = function (fn) {
+Queue.prototype.alternate = function (fn, weight) {
   this.groupBy(fn)
-  return this.interleave()
+  return this.interleave(weight)
 }
 
 /**
@@ -61,32 +69,66 @@ Queue.prototype.contains = function (obj) {
 
 /**
  * Remove duplicate entries.
- * If a track occurs more than once, the version with
- * the highest Spotify popularity is preferred.
+ *
+ * If a track occurs more than once, the preferred version
+ * is kept in the position of the first occurrence. By default,
+ * versions from proper albums are preferred over singles and
+ * compilations, and then the version with the highest Spotify
+ * popularity (see `sort.album`).
+ *
+ * @param {Function} [fn] - A key function. Takes an entry as
+ * input and returns a string, and entries with the same key
+ * are duplicates. Entries without a key are kept. If not given,
+ * entries are compared with `Track.similarTo()`.
+ * @param {Function} [cmp] - A comparison function that returns
+ * a negative number if the first entry is preferred.
  * @return {Promise | Queue} - Itself.
  */
-Queue.prototype.dedup = function () {
+Queue.prototype.dedup = function (fn, cmp) {
   var self = this
+  var keys = {}
   var result = new Queue()
+  cmp = cmp || sort.album
+
+  // helper functions
+  function find (entry) {
+    if (!fn) {
+      return result.indexOf(entry)
+    }
+    var key = fn(entry)
+    return (key && keys.hasOwnProperty(key)) ? keys[key] : -1
+  }
+
+  function add (entry) {
+    var key = fn && fn(entry)
+    if (key) {
+      keys[key] = result.size()
+    }
+    result.add(entry)
+  }
+
   return self.forEachPromise(function (entry) {
-    if (!result.contains(entry)) {
-      result.add(entry)
+    var idx = find(entry)
+    if (idx < 0) {
+      add(entry)
       return Promise.resolve(entry)
-    } else {
-      var idx = self.indexOf(entry)
-      var other = result.get(idx)
-      if (entry.equals(other)) {
-        return Promise.resolve(other)
-      } else {
-        return other.getPopularity().then(function (otherPopularity) {
-          return entry.getPopularity().then(function (entryPopularity) {
-            if (entryPopularity > otherPopularity) {
-              Queue.set(idx, entry)
-            }
-          })
-        })
-      }
     }
+    var other = result.get(idx)
+    if (entry === other ||
+        (entry.equals && entry.equals(other)) ||
+        !entry.getPopularity || !other.getPopularity) {
+      return Promise.resolve(other)
+    }
+    return other.getPopularity().then(function () {
+      return entry.getPopularity()
+    }).then(function () {
+      if (cmp(entry, other) < 0) {
+        result.set(idx, entry)
+      }
+      return result.get(idx)
+    }).catch(function () {
+      return other
+    })
   }).then(function () {
     self.queue = result.toArray()
     return self
@@ -94,14 +136,17 @@ Queue.prototype.dedup = function () {
 }
 
 /**
- * Dispatch all entries in sequence.
- * Ensure that only one entry is dispatched at a time.
- * @return {Promise | Queue} A queue of results.
+ * Dispatch all entries.
+ * By default, only one entry is dispatched at a time.
+ * @param {integer} [concurrency] - The maximum number of
+ * entries to dispatch at the same time, default 1.
+ * @return {Promise | Queue} A queue of results,
+ * in the same order as the entries.
  */
-Queue.prototype.dispatch = function () {
-  return this.forEachPromise(function (entry) {
+Queue.prototype.dispatch = function (concurrency) {
+  return this.forEachPromiseLimit(function (entry) {
     return entry.dispatch()
-  })
+  }, concurrency)
 }
 
 /**
@@ -142,8 +187,11 @@ Queue.prototype.forEach = function (fn) {
  * (e.g., by invoking a promise-returning method).
  *
  * The execution is strictly sequential to prevent overloading
- * the server. (If parallel execution is needed, use a library
- * function like Promise.all() instead.)
+ * the server. (If parallel execution is needed, use
+ * Queue.forEachPromiseLimit() instead.)
+ *
+ * Rejected promises are skipped. The entry and the reason
+ * are recorded in the `errors` property of the returned queue.
  *
  * @param {Function} fn - An iterator function.
  * Takes an entry as input and returns a promise.
@@ -159,13 +207,75 @@ Queue.prototype.forEachPromise = function (fn) {
       return fn(entry)
     }).then(function (value) {
       result.add(value)
-    }).catch(function () { })
+    }).catch(function (err) {
+      result.errors.push({
+        entry: entry,
+        error: err
+      })
+    })
   })
   return ready.then(function () {
     return result
   })
 }
 
+/**
+ * Similar to Queue.forEachPromise(), but with a bounded number
+ * of promises running at the same time.
+ *
+ * The values are returned in the same order as the entries,
+ * regardless of the order in which the promises complete.
+ * As with Queue.forEachPromise(), rejected promises are skipped
+ * and recorded in the `errors` property of the returned queue.
+ *
+ * @param {Function} fn - An iterator function.
+ * Takes an entry as input and returns a promise.
+ * @param {integer} [limit] - The maximum number of promises
+ * running at the same time, default 1 (strictly sequential).
+ * @return {Promise | Queue} A promise whose value is
+ * a queue of the values of each invoked promise.
+ */
+Queue.prototype.forEachPromiseLimit = function (fn, limit) {
+  var entries = this.toArray()
+  var values = []
+  var errors = []
+  var next = 0
+  limit = Math.max(1, limit || 1)
+  if (limit === 1) {
+    return this.forEachPromise(fn)
+  }
+  function worker () {
+    if (next >= entries.length) {
+      return Promise.resolve(null)
+    }
+    var idx = next++
+    return Promise.resolve(null).then(function () {
+      return fn(entries[idx])
+    }).then(function (value) {
+      values[idx] = {value: value}
+    }).catch(function (err) {
+      errors[idx] = {
+        entry: entries[idx],
+        error: err
+      }
+    }).then(worker)
+  }
+  var workers = []
+  for (var i = 0; i < Math.min(limit, entries.length); i++) {
+    workers.push(worker())
+  }
+  return Promise.all(workers).then(function () {
+    var result = new Queue()
+    values.forEach(function (val) {
+      if (val) {
+        result.add(val.value)
+      }
+    })
+    result.errors = _.compact(errors)
+    return result
+  })
+}
+
 /**
  * Get a playlist entry.
  * @param {integer} idx - The index of the entry.
@@ -217,10 +327,61 @@ Queue.prototype.indexOf = function (obj) {
 
 /**
  * Interleave a nested queue into a flat queue.
+ * @param {Array | Function} [weight] - Group weights. Either an
+ * array of weights, in the order of the groups, or a function
+ * that takes a group and its index as input and returns its
+ * weight. Each round, a group contributes as many entries as
+ * its weight. Defaults to `1` for all groups.
  * @return {Queue} - Itself.
  */
-Queue.prototype.interleave = function () {
-  this.queue = _.compact(_.flatten(_.zip.apply(null, this.toArray())))
+Queue.prototype.interleave = function (weight) {
+  if (!weight) {
+    this.queue = _.compact(_.flatten(_.zip.apply(null, this.toArray())))
+    return this
+  }
+  var groups = this.toArray().map(function (group) {
+    return _.isArray(group) ? group.slice() : [group]
+  })
+  var weights = groups.map(function (group, i) {
+    var w = _.isFunction(weight) ? weight(group, i) : weight[i]
+    return Math.max(1, Math.round(w || 1))
+  })
+  var result = []
+  while (_.some(groups, 'length')) {
+    for (var i = 0; i < groups.length; i++) {
+      result = result.concat(groups[i].splice(0, weights[i]))
+    }
+  }
+  this.queue = _.compact(result)
+  return this
+}
+
+/**
+ * Spread the groups of a nested queue evenly
+ * into a flat queue.
+ *
+ * Unlike `Queue.interleave()`, which takes one entry from
+ * each group in turn until the short groups run out,
+ * the entries of each group are placed at even intervals
+ * over the whole queue, in proportion to the group's size.
+ *
+ * @return {Queue} - Itself.
+ */
+Queue.prototype.distribute = function () {
+  var positions = []
+  this.toArray().forEach(function (group) {
+    group = _.isArray(group) ? group : [group]
+    group.forEach(function (entry, i) {
+      positions.push({
+        entry: entry,
+        position: (i + 0.5) / group.length
+      })
+    })
+  })
+  sort(positions, sort.ascending(function (x) {
+    return x.position
+  }))
+  this.queue = _.compact(_.map(positions, 'entry'))
   return this
 }
 
@@ -312,10 +473,82 @@ Queue.prototype.shift = function () {
 /**
  * Shuffle the elements in the queue.
  * Uses the Fisher-Yates algorithm.
+ * @param {function} [random] - A function that returns a random
+ * number between `0` (inclusive) and `1` (exclusive), such as
+ * `util.random()`. Defaults to `Math.random`.
+ * @return {Queue} - Itself.
+ */
+Queue.prototype.shuffle = function (random) {
+  var arr = this.toArray()
+  if (random) {
+    for (var i = arr.length - 1; i > 0; i--) {
+      var j = Math.floor(random() * (i + 1))
+      var tmp = arr[i]
+      arr[i] = arr[j]
+      arr[j] = tmp
+    }
+  } else {
+    arr = _.shuffle(arr)
+  }
+  this.queue = arr
+  return this
+}
+
+/**
+ * Shuffle the elements within groups.
+ * The groups stay in the order of their first elements.
+ * @param {Function} fn - A grouping function.
+ * Takes an entry as input and returns a grouping key,
+ * a string, as output.
+ * @param {function} [random] - A random number function
+ * (see `Queue.shuffle()`).
  * @return {Queue} - Itself.
  */
-Queue.prototype.shuffle = function () {
-  this.queue = _.shuffle(this.toArray())
+Queue.prototype.shuffleWithin = function (fn, random) {
+  this.groupBy(fn)
+  this.queue = _.map(this.queue, function (group) {
+    return new Queue(group).shuffle(random).toArray()
+  })
+  return this.flatten()
+}
+
+/**
+ * Shuffle the elements and spread them out, keeping
+ * elements in the same group as far apart as possible.
+ *
+ * The elements of each group are shuffled and placed at
+ * even intervals, starting at a random offset, and the
+ * groups are then merged by position.
+ *
+ * @param {Function} fn - A grouping function.
+ * Takes an entry as input and returns a grouping key,
+ * a string, as output.
+ * @param {function} [random] - A random number function
+ * (see `Queue.shuffle()`).
+ * @return {Queue} - Itself.
+ */
+Queue.prototype.spread = function (fn, random) {
+  random = random || Math.random
+  var positions = []
+  this.groupBy(fn)
+  _.forEach(this.queue, function (group) {
+    var entries = new Queue(group).shuffle(random).toArray()
+    var interval = 1 / entries.length
+    var offset = random() * interval
+    entries.forEach(function (entry, i) {
+      positions.push({
+        entry: entry,
+        position: offset + i * interval,
+        tiebreak: random()
+      })
+    })
+  })
+  sort(positions, sort.combine(sort.ascending(function (x) {
+    return x.position
+  }), sort.ascending(function (x) {
+    return x.tiebreak
+  })))
+  this.queue = _.map(positions, 'entry')
   return this
 }
 
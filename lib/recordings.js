@@ -0,0 +1,132 @@
+var sort = require('./sort')
+var _ = require('lodash')
+
+/**
+ * Create an index of recordings.
+ *
+ * The same recording often appears on albums, singles,
+ * compilations and deluxe editions, with a different Spotify ID
+ * for each. The index groups these versions by their ISRC
+ * (International Standard Recording Code).
+ *
+ * @constructor
+ * @param {SpotifyWebApi} [spotify] - Spotify web API.
+ */
+function Recordings (spotify) {
+  /**
+   * Lookups performed by `lookup()`, as promises, by ISRC.
+   */
+  this.lookups = {}
+
+  /**
+   * Spotify request handler.
+   */
+  this.spotify = spotify
+
+  /**
+   * Versions of each recording, as track JSON objects, by ISRC.
+   */
+  this.versions = {}
+}
+
+/**
+ * The ISRC of a track.
+ * @param {Track | Object} track - A track, or a track JSON object.
+ * @return {string} The ISRC in upper case, or the empty string
+ * if unknown.
+ */
+Recordings.isrc = function (track) {
+  var isrc = track && track.external_ids && track.external_ids.isrc
+  return isrc ? isrc.toUpperCase().replace(/[^0-9A-Z]/g, '') : ''
+}
+
+/**
+ * The canonical key of a track: its ISRC if known,
+ * and otherwise its URI.
+ * @param {Track | Object} track - A track, or a track JSON object.
+ * @return {string} The key.
+ */
+Recordings.key = function (track) {
+  return Recordings.isrc(track) || (track && track.uri) || ''
+}
+
+/**
+ * Add a version of a recording to the index.
+ * Tracks without an ISRC are ignored.
+ * @param {Object} track - A track JSON object.
+ */
+Recordings.prototype.add = function (track) {
+  var isrc = Recordings.isrc(track)
+  if (!isrc || !track.uri) {
+    return
+  }
+  var versions = this.versions[isrc] = this.versions[isrc] || []
+  if (!_.some(versions, {uri: track.uri})) {
+    versions.push(track)
+  }
+}
+
+/**
+ * Get the known versions of a track's recording.
+ * @param {Track | Object} track - A track.
+ * @return {Array} An array of track JSON objects.
+ */
+Recordings.prototype.get = function (track) {
+  return this.versions[Recordings.isrc(track)] || []
+}
+
+/**
+ * Look up the versions of a track's recording on Spotify.
+ * Each ISRC is only searched for once.
+ * @param {Track | Object} track - A track.
+ * @return {Promise | Array} An array of track JSON objects,
+ * not including the track itself.
+ */
+Recordings.prototype.lookup = function (track) {
+  var self = this
+  var isrc = Recordings.isrc(track)
+  if (!isrc || !this.spotify) {
+    return Promise.resolve([])
+  }
+  if (!this.lookups[isrc]) {
+    this.lookups[isrc] = this.spotify.searchTracks('isrc:' + isrc).then(function (response) {
+      response.body.tracks.items.forEach(function (item) {
+        if (Recordings.isrc(item) === isrc) {
+          self.add(item)
+        }
+      })
+    }).catch(function () {
+      // no other versions
+    })
+  }
+  return this.lookups[isrc].then(function () {
+    return self.get(track).filter(function (item) {
+      return item.uri !== track.uri
+    })
+  })
+}
+
+/**
+ * Find the preferred version of a track's recording.
+ *
+ * Versions that are not playable in the market of the
+ * request handler are skipped. If several versions are
+ * equally preferred, the track itself is returned.
+ *
+ * @param {Track} track - A track.
+ * @param {function} cmp - A comparison function that returns
+ * a negative number if the first version is preferred
+ * (see `sort.prefer()`).
+ * @return {Promise | Track | Object} The track itself,
+ * or a track JSON object.
+ */
+Recordings.prototype.canonical = function (track, cmp) {
+  return this.lookup(track).then(function (versions) {
+    versions = [track].concat(versions.filter(function (item) {
+      return item.is_playable !== false
+    }))
+    return sort(versions, cmp)[0]
+  })
+}
+
+module.exports = Recordings
@@ -0,0 +1,208 @@
+var Album = require('./album')
+var Artist = require('./artist')
+var Playlist = require('./playlist')
+var Similar = require('./similar')
+var Top = require('./top')
+var Track = require('./track')
+var WebScraper = require('./scraper')
+var http = require('./http')
+
+/**
+ * Create a report of unresolved entries.
+ * @constructor
+ */
+function Report () {
+  /**
+   * Tracks that were swapped for another version, or dropped,
+   * as objects with the properties `line`, `entry`, `from`,
+   * `to` and `reason`. `to` is `null` for dropped tracks.
+   */
+  this.swaps = []
+
+  /**
+   * Unresolved entries, as objects with the properties
+   * `line`, `kind`, `entry` and `reason`.
+   */
+  this.unresolved = []
+
+  /**
+   * Problems with the generator string that do not concern
+   * a particular track, such as commands that could not be
+   * parsed, as objects with the properties `line`, `entry`
+   * and `reason`.
+   */
+  this.warnings = []
+}
+
+/**
+ * Record an unresolved entry.
+ * @param {Track | Album | Artist | Playlist | WebScraper} entry -
+ * The entry.
+ * @param {Error} [err] - Why the entry could not be resolved.
+ */
+Report.prototype.add = function (entry, err) {
+  this.unresolved.push({
+    line: entry.line || 0,
+    kind: Report.kind(entry),
+    entry: entry.entry || entry.uri || '',
+    reason: Report.reason(err)
+  })
+  this.unresolved.sort(function (a, b) {
+    return a.line - b.line
+  })
+}
+
+/**
+ * Record a track that was swapped for another version.
+ * @param {Track} track - The track, before it was swapped.
+ * @param {Track | Object} [version] - The new version.
+ * If not given, the track was dropped.
+ * @param {string} reason - Why the track was swapped or dropped,
+ * e.g., `clean version`.
+ */
+Report.prototype.addSwap = function (track, version, reason) {
+  this.swaps.push({
+    line: track.line || 0,
+    entry: track.entry || track.uri || '',
+    from: track.uri,
+    to: version ? version.uri : null,
+    reason: reason
+  })
+  this.swaps.sort(function (a, b) {
+    return a.line - b.line
+  })
+}
+
+/**
+ * Record a warning, e.g., a command that could not be parsed.
+ * @param {Object} entry - The entry, with the properties
+ * `line` and `entry`.
+ * @param {string} reason - What is wrong with the entry.
+ */
+Report.prototype.addWarning = function (entry, reason) {
+  this.warnings.push({
+    line: entry.line || 0,
+    entry: entry.entry || '',
+    reason: reason
+  })
+  this.warnings.sort(function (a, b) {
+    return a.line - b.line
+  })
+}
+
+/**
+ * Record the unresolved entries, swaps and warnings of another report,
+ * e.g., the report of the tracks of a scraped web page.
+ * @param {Report} report - The other report.
+ * @param {integer} [line] - The line to record them at.
+ * If not given, their own lines are kept.
+ */
+Report.prototype.merge = function (report, line) {
+  function byLine (a, b) {
+    return a.line - b.line
+  }
+  function relocate (item) {
+    var result = {}
+    for (var prop in item) {
+      if (item.hasOwnProperty(prop)) {
+        result[prop] = item[prop]
+      }
+    }
+    result.line = line || item.line
+    return result
+  }
+  this.unresolved = this.unresolved.concat(report.unresolved.map(relocate))
+  this.unresolved.sort(byLine)
+  this.swaps = this.swaps.concat(report.swaps.map(relocate))
+  this.swaps.sort(byLine)
+  this.warnings = this.warnings.concat(report.warnings.map(relocate))
+  this.warnings.sort(byLine)
+}
+
+/**
+ * Whether all entries were resolved.
+ * @return {boolean} `true` if there are no unresolved entries,
+ * `false` otherwise.
+ */
+Report.prototype.isEmpty = function () {
+  return this.unresolved.length === 0
+}
+
+/**
+ * Convert the report to a string.
+ * @return {string} A newline-separated list of unresolved entries.
+ */
+Report.prototype.toString = function () {
+  return this.unresolved.map(function (item) {
+    return 'line ' + item.line + ', ' + item.kind +
+      ' "' + item.entry + '": ' + item.reason
+  }).join('\n')
+}
+
+/**
+ * Convert the swaps to a string.
+ * @return {string} A newline-separated list of swapped
+ * and dropped tracks.
+ */
+Report.prototype.swapsToString = function () {
+  return this.swaps.map(function (item) {
+    return 'line ' + item.line + ', "' + item.entry + '": ' +
+      item.from + (item.to ? ' -> ' + item.to : ' dropped') +
+      ' (' + item.reason + ')'
+  }).join('\n')
+}
+
+/**
+ * Convert the warnings to a string.
+ * @return {string} A newline-separated list of warnings.
+ */
+Report.prototype.warningsToString = function () {
+  return this.warnings.map(function (item) {
+    return 'line ' + item.line + ', "' + item.entry + '": ' + item.reason
+  }).join('\n')
+}
+
+/**
+ * The kind of an entry.
+ * @param {Track | Album | Artist | Playlist | WebScraper} entry -
+ * The entry.
+ * @return {string} One of `track`, `album`, `artist`,
+ * `playlist` or `scrape`.
+ */
+Report.kind = function (entry) {
+  if (entry instanceof Track) {
+    return 'track'
+  } else if (entry instanceof Album) {
+    return 'album'
+  } else if (entry instanceof Artist ||
+             entry instanceof Top ||
+             entry instanceof Similar) {
+    return 'artist'
+  } else if (entry instanceof Playlist) {
+    return 'playlist'
+  } else if (entry instanceof WebScraper) {
+    return 'scrape'
+  }
+  return 'entry'
+}
+
+/**
+ * Describe why an entry could not be resolved.
+ * @param {Error} [err] - The rejection value of the lookup.
+ * @return {string} A short description, e.g., `not found`
+ * or `HTTP 503`.
+ */
+Report.reason = function (err) {
+  var status = http.status(err)
+  if (status) {
+    var message = (err.error && err.error.message) ||
+        (err.body && err.body.error && err.body.error.message) ||
+        (err.message && !err.message.match(/http_error/) && err.message)
+    return 'HTTP ' + status + (message ? ': ' + message : '')
+  } else if (err instanceof Error) {
+    return err.message
+  }
+  return 'not found'
+}
+
+module.exports = Report
@@ -23,6 +23,13 @@ function WebScraper (uri, count, parser) {
    */
   this.parser = null
 
+  /**
+   * Report of the collection the scraper belongs to.
+   * The entries of the scraped page that cannot be resolved
+   * are recorded in it, at the line of the scraper.
+   */
+  this.report = null
+
   /**
    * The URI of the first page to fetch.
    */
@@ -84,8 +91,15 @@ WebScraper.prototype.scrape = function (uri, count) {
  * @return {Promise | Queue} A queue of results.
  */
 WebScraper.prototype.createQueue = function (result) {
+  var self = this
   var collection = this.parser.parse(result)
-  return collection.dispatch()
+  collection.nested = true
+  return collection.dispatch().then(function (queue) {
+    if (self.report) {
+      self.report.merge(collection.report, self.line)
+    }
+    return queue
+  })
 }
 
 /**
@@ -99,6 +113,18 @@ WebScraper.prototype.dispatch = function () {
   })
 }
 
+/**
+ * Log a progress message with the parser's request handler.
+ * @param {string} message - The message.
+ */
+WebScraper.prototype.log = function (message) {
+  if (this.parser && this.parser.spotify) {
+    this.parser.spotify.log(message)
+  } else {
+    console.log(message)
+  }
+}
+
 /**
  * Scrape a Last.fm tracklist.
  * @param {string} uri - The URI of the web page to scrape.
@@ -106,10 +132,11 @@ WebScraper.prototype.dispatch = function () {
  * @return {Promise | string} A newline-separated list of tracks.
  */
 WebScraper.prototype.lastfm = function (uri, count) {
+  var self = this
   count = count || 1
   function getPages (nextUri, result, count) {
     nextUri = URI(nextUri).absoluteTo(uri).toString()
-    console.log(nextUri + '\n')
+    self.log(nextUri + '\n')
     return http(nextUri).then(function (data) {
       var html = $($.parseHTML(data))
       var lines = ''
@@ -152,7 +179,7 @@ WebScraper.prototype.lastfm = function (uri, count) {
           }
         })
       }
-      console.log(util.stripWhitespace(lines, '\\t') + '\n')
+      self.log(util.stripWhitespace(lines, '\\t') + '\n')
       result += lines
       if (count === 1) {
         return result
@@ -177,10 +204,11 @@ WebScraper.prototype.lastfm = function (uri, count) {
  * @return {Promise | string} A newline-separated list of albums.
  */
 WebScraper.prototype.pitchfork = function (uri, count) {
+  var self = this
   count = count || 0
   function getPages (nextUri, result, count) {
     nextUri = URI(nextUri).absoluteTo(uri).toString()
-    console.log(nextUri + '\n')
+    self.log(nextUri + '\n')
     return http(nextUri).then(function (data) {
       var html = $($.parseHTML(data))
       var lines = ''
@@ -189,7 +217,7 @@ WebScraper.prototype.pitchfork = function (uri, count) {
         var album = util.normalize($(this).find('h2[class*="work-title"]').text())
         lines += '#album ' + artist + '\t-\t' + album + '\n'
       })
-      console.log(util.stripWhitespace(lines, '\\t') + '\n')
+      self.log(util.stripWhitespace(lines, '\\t') + '\n')
       result += lines
       if (count === 1) {
         return result
@@ -214,10 +242,11 @@ WebScraper.prototype.pitchfork = function (uri, count) {
  * @return {Promise | string} A newline-separated list of albums.
  */
 WebScraper.prototype.rateyourmusic = function (uri, count) {
+  var self = this
   count = count || 0
   function getPages (nextUri, result, count) {
     nextUri = URI(nextUri).absoluteTo(uri).toString()
-    console.log(nextUri + '\n')
+    self.log(nextUri + '\n')
     return http(nextUri).then(function (data) {
       var html = $($.parseHTML(data))
       var lines = ''
@@ -226,7 +255,7 @@ WebScraper.prototype.rateyourmusic = function (uri, count) {
         var album = util.normalize($(this).find('a.album').text())
         lines += '#album ' + artist + '\t-\t' + album + '\n'
       })
-      console.log(util.stripWhitespace(lines, '\\t') + '\n')
+      self.log(util.stripWhitespace(lines, '\\t') + '\n')
       result += lines
       if (count === 1) {
         return result
@@ -255,10 +284,11 @@ WebScraper.prototype.rateyourmusic = function (uri, count) {
  * @return {Promise | string} A newline-separated list of tracks.
  */
 WebScraper.prototype.reddit = function (uri, count) {
+  var self = this
   count = count || 1
   function getPages (nextUri, result, count) {
     nextUri = URI(nextUri).absoluteTo(uri).toString()
-    console.log(nextUri + '\n')
+    self.log(nextUri + '\n')
     return http(nextUri).then(function (data) {
       var html = $($.parseHTML(data))
       var lines = ''
@@ -303,7 +333,7 @@ WebScraper.prototype.reddit = function (uri, count) {
           lines += track + '\n'
         })
       }
-      console.log(util.stripWhitespace(lines, '\\t') + '\n')
+      self.log(util.stripWhitespace(lines, '\\t') + '\n')
       result += lines
       if (count === 1) {
         return result
@@ -331,7 +361,8 @@ WebScraper.prototype.reddit = function (uri, count) {
  * @return {Promise | string} A newline-separated list of tracks.
  */
 WebScraper.prototype.webpage = function (uri) {
-  console.log(uri + '\n')
+  var self = this
+  self.log(uri + '\n')
   return http(uri).then(function (data) {
     var html = $($.parseHTML(data))
     var result = ''
@@ -342,7 +373,7 @@ WebScraper.prototype.webpage = function (uri) {
       }
     })
     result = result.trim()
-    console.log(result + '\n')
+    self.log(result + '\n')
     return result
   })
 }
@@ -353,7 +384,8 @@ WebScraper.prototype.webpage = function (uri) {
  * @return {Promise | string} A newline-separated list of tracks.
  */
 WebScraper.prototype.youtube = function (uri) {
-  console.log(uri + '\n')
+  var self = this
+  self.log(uri + '\n')
   return http(uri).then(function (data) {
     var html = $($.parseHTML(data))
     var result = ''
@@ -362,7 +394,7 @@ WebScraper.prototype.youtube = function (uri) {
       result += track + '\n'
     })
     result = result.trim()
-    console.log(result + '\n')
+    self.log(result + '\n')
     return result
   })
 }
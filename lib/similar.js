@@ -58,7 +58,7 @@ Similar.prototype.createQueue = function () {
   })
   var queue = new Queue(artists)
   queue = queue.slice(0, self.artistLimit)
-  return queue.dispatch().then(function (result) {
+  return queue.dispatch(self.spotify.concurrency).then(function (result) {
     return result.interleave()
   })
 }
@@ -1,4 +1,5 @@
 var stringSimilarity = require('string-similarity')
+var util = require('./util')
 var _ = require('lodash')
 
 /**
@@ -205,16 +206,400 @@ sort.censorship = sort.descending(function (x) {
   return x.explicit ? 1 : 0
 })
 
+/**
+ * Sort track objects by cleanliness.
+ * Censored tracks are preferred over explicit ones.
+ * @param {Track} a - A track.
+ * @param {Track} b - A track.
+ * @return {integer} - `-1` if `a` is clean and `b` is explicit,
+ * `1` if `a` is explicit and `b` is clean,
+ * and `0` otherwise.
+ */
+sort.clean = sort.ascending(function (x) {
+  return x.explicit ? 1 : 0
+})
+
+/**
+ * Sort versions of a track by preference.
+ *
+ * The versions may be `Track` objects or track JSON objects.
+ * Ties are resolved by Spotify popularity.
+ *
+ * @param {string} preference - One of `original` (the earliest
+ * release, from a proper album if possible), `latest` (the most
+ * recent release), `explicit` or `clean`.
+ * @return {function} - A comparison function that returns `-1`
+ * if the first version is preferred.
+ */
+sort.prefer = function (preference) {
+  function year (x) {
+    return x.year ||
+      parseInt(x.album && x.album.release_date) ||
+      null
+  }
+  function albumType (a, b) {
+    return sort.type(a.album_type ? a : (a.album || {}),
+                     b.album_type ? b : (b.album || {}))
+  }
+  if (preference === 'original') {
+    return sort.combine(sort.ascending(function (x) {
+      return year(x) || Infinity
+    }), albumType, sort.popularity)
+  } else if (preference === 'latest') {
+    return sort.combine(sort.descending(function (x) {
+      return year(x) || -Infinity
+    }), sort.popularity)
+  } else if (preference === 'explicit') {
+    return sort.combine(sort.censorship, sort.popularity)
+  } else if (preference === 'clean') {
+    return sort.combine(sort.clean, sort.popularity)
+  }
+  return sort.combine(albumType, sort.popularity)
+}
+
 /**
  * Sort track objects by similarity to a track,
  * popularity, and censorship.
  * @param {string} track - The track to compare against.
+ * @param {string} [censorship] - `clean` to prefer censored
+ * tracks. By default, explicit tracks are preferred.
  * @return {function} - A comparison function.
  */
-sort.track = function (track) {
+sort.track = function (track, censorship) {
   return sort.combine(sort.similarTrack(track),
                       sort.popularity,
-                      sort.censorship)
+                      (censorship === 'clean') ? sort.clean : sort.censorship)
+}
+
+/**
+ * Arrange elements along a curve.
+ *
+ * Each position in the array has a target value, interpolated
+ * from the points of the curve, which are evenly spaced from the
+ * first position to the last. The elements are assigned to the
+ * positions so that the total distance between their values
+ * and the targets is minimal, which is the case when the
+ * lowest value is assigned to the lowest target, and so on.
+ * Elements without a value are put at the end.
+ *
+ * @param {Array} arr - The array to arrange.
+ * @param {function} fn - A scoring function.
+ * Takes an element as input and returns a number.
+ * @param {Array} points - The values of the curve.
+ * @return {Array} - A new array.
+ */
+sort.curve = function (arr, fn, points) {
+  var known = arr.filter(function (x) {
+    return _.isFinite(fn(x))
+  })
+  var unknown = _.difference(arr, known)
+  var targets = sort.interpolate(points, known.length)
+  var positions = sort(_.range(known.length), sort.ascending(function (i) {
+    return targets[i]
+  }))
+  sort(known, sort.ascending(fn))
+  var result = []
+  positions.forEach(function (position, i) {
+    result[position] = known[i]
+  })
+  return result.concat(unknown)
+}
+
+/**
+ * Interpolate the points of a curve.
+ * @param {Array} points - The values of the curve,
+ * evenly spaced.
+ * @param {integer} n - The number of values to return.
+ * @return {Array} - An array of `n` values, from the first
+ * point to the last.
+ */
+sort.interpolate = function (points, n) {
+  return _.range(n).map(function (i) {
+    if (points.length < 2) {
+      return points[0] || 0
+    }
+    var x = (n > 1) ? i / (n - 1) * (points.length - 1) : 0
+    var k = Math.min(Math.floor(x), points.length - 2)
+    return points[k] + (x - k) * (points[k + 1] - points[k])
+  })
+}
+
+/**
+ * Order tracks for smooth transitions.
+ *
+ * Each track is treated as a vector of the audio features
+ * in `sort.flow.features`, with the tempo scaled to the range
+ * of the tracks' tempos. The tracks are ordered so that the
+ * total distance between neighbours is approximately minimal,
+ * as in the travelling salesman problem: a nearest-neighbour
+ * path is improved with 2-opt, and then perturbed and improved
+ * again `sort.flow.rounds` times, keeping the best path.
+ * The first track stays first.
+ *
+ * @param {Array} tracks - Tracks with audio features.
+ * @param {integer} [seed] - The seed of the perturbations.
+ * The result is the same for the same seed.
+ * @return {Array} - A new array.
+ */
+sort.flow = function (tracks, seed) {
+  var n = tracks.length
+  var random = util.random(seed)
+  if (n < 3) {
+    return tracks.slice()
+  }
+
+  // feature vectors
+  var tempos = _.filter(_.map(tracks, 'tempo'), _.isFinite)
+  var min = _.min(tempos) || 0
+  var range = (_.max(tempos) - min) || 1
+  var vectors = tracks.map(function (track) {
+    return sort.flow.features.map(function (feature) {
+      var x = track[feature]
+      if (!_.isFinite(x)) {
+        return 0.5
+      }
+      return (feature === 'tempo') ? (x - min) / range : x
+    })
+  })
+  var dist = vectors.map(function (x) {
+    return vectors.map(function (y) {
+      return Math.sqrt(_.sum(_.zipWith(x, y, function (a, b) {
+        return (a - b) * (a - b)
+      })))
+    })
+  })
+
+  // helper functions
+  function cost (path) {
+    var sum = 0
+    for (var i = 1; i < path.length; i++) {
+      sum += dist[path[i - 1]][path[i]]
+    }
+    return sum
+  }
+
+  function twoOpt (path) {
+    var improved = true
+    while (improved) {
+      improved = false
+      for (var i = 1; i < n - 1; i++) {
+        for (var j = i + 1; j < n; j++) {
+          var before = dist[path[i - 1]][path[i]]
+          var after = dist[path[i - 1]][path[j]]
+          if (j < n - 1) {
+            before += dist[path[j]][path[j + 1]]
+            after += dist[path[i]][path[j + 1]]
+          }
+          if (after < before - 1e-9) {
+            var segment = path.slice(i, j + 1).reverse()
+            Array.prototype.splice.apply(path, [i, segment.length].concat(segment))
+            improved = true
+          }
+        }
+      }
+    }
+    return path
+  }
+
+  function perturb (path) {
+    // move a random segment to a random position
+    path = path.slice()
+    var i = 1 + Math.floor(random() * (n - 1))
+    var length = 1 + Math.floor(random() * Math.min(3, n - i))
+    var segment = path.splice(i, length)
+    var j = 1 + Math.floor(random() * path.length)
+    Array.prototype.splice.apply(path, [j, 0].concat(segment))
+    return path
+  }
+
+  var best = twoOpt(sort.nearestNeighbour(_.range(n), function (i, j) {
+    return dist[i][j]
+  }))
+  var bestCost = cost(best)
+  for (var round = 0; round < sort.flow.rounds; round++) {
+    var path = twoOpt(perturb(best))
+    var pathCost = cost(path)
+    if (pathCost < bestCost - 1e-9) {
+      best = path
+      bestCost = pathCost
+    }
+  }
+  return best.map(function (i) {
+    return tracks[i]
+  })
+}
+
+/**
+ * The audio features compared by `sort.flow()`.
+ */
+sort.flow.features = ['energy', 'valence', 'danceability', 'tempo', 'acousticness']
+
+/**
+ * The number of perturbations in `sort.flow()`.
+ */
+sort.flow.rounds = 20
+
+/**
+ * Named curves, with values between `0` and `1`.
+ */
+sort.curves = {
+  arc: [0, 1, 1, 0],
+  fall: [1, 0],
+  rise: [0, 1]
+}
+
+/**
+ * Camelot wheel position of a track.
+ * @param {Track} track - A track with the audio features
+ * `key` and `mode`.
+ * @return {Object} - An object with the properties `number`
+ * (`1` to `12`) and `letter` (`A` for minor, `B` for major),
+ * or `null` if the key is unknown.
+ */
+sort.camelot = function (track) {
+  if (!track ||
+      !Number.isInteger(track.key) ||
+      track.key < 0 || track.key > 11) {
+    return null
+  }
+  // a minor key has the same number as its relative major
+  var key = (track.mode === 0) ? track.key + 3 : track.key
+  return {
+    number: (key * 7 + 7) % 12 + 1,
+    letter: (track.mode === 0) ? 'A' : 'B'
+  }
+}
+
+/**
+ * Distance between two tracks on the Camelot wheel.
+ * @param {Track} a - A track.
+ * @param {Track} b - A track.
+ * @return {integer} - The number of steps from `a` to `b`.
+ * `0` is the same key, and `1` is a compatible key
+ * (an adjacent number or the relative major or minor).
+ * Tracks with an unknown key are `7` steps from any track.
+ */
+sort.camelotDistance = function (a, b) {
+  var x = sort.camelot(a)
+  var y = sort.camelot(b)
+  if (!x || !y) {
+    return 7
+  }
+  var diff = Math.abs(x.number - y.number)
+  diff = Math.min(diff, 12 - diff)
+  return diff + ((x.letter === y.letter) ? 0 : 1)
+}
+
+/**
+ * Relative tempo difference between two tracks.
+ * @param {Track} a - A track.
+ * @param {Track} b - A track.
+ * @return {number} - A number between `0` (the same tempo)
+ * and `1`. Tracks with an unknown tempo are `1` from any track.
+ */
+sort.tempoDistance = function (a, b) {
+  if (!a.tempo || !b.tempo) {
+    return 1
+  }
+  return Math.abs(a.tempo - b.tempo) / Math.max(a.tempo, b.tempo)
+}
+
+/**
+ * Mixing distance between two tracks, combining the
+ * Camelot distance and the tempo distance. A tempo
+ * difference of 10% counts as one step on the wheel.
+ * @param {Track} a - A track.
+ * @param {Track} b - A track.
+ * @return {number} - The distance from `a` to `b`.
+ */
+sort.mixDistance = function (a, b) {
+  return sort.camelotDistance(a, b) + 10 * sort.tempoDistance(a, b)
+}
+
+/**
+ * Order an array by greedy nearest-neighbour search.
+ * The first element stays first, and each next element
+ * is the closest remaining one. Ties are resolved
+ * by the original order.
+ * @param {Array} arr - The array to order.
+ * @param {function} distance - A distance function.
+ * Takes two elements as input and returns a number.
+ * @return {Array} - A new array.
+ */
+sort.nearestNeighbour = function (arr, distance) {
+  var remaining = arr.slice(1)
+  var result = arr.slice(0, 1)
+  while (remaining.length > 0) {
+    var last = result[result.length - 1]
+    var best = 0
+    for (var i = 1; i < remaining.length; i++) {
+      if (distance(last, remaining[i]) < distance(last, remaining[best])) {
+        best = i
+      }
+    }
+    result.push(remaining.splice(best, 1)[0])
+  }
+  return result
+}
+
+/**
+ * Order tracks for harmonic mixing.
+ *
+ * Searches for a path starting with the first track where
+ * each next track is Camelot-compatible with the previous one
+ * and has a similar tempo (within `tolerance`). Candidates
+ * with the closest tempo are tried first. If no such path is
+ * found within a limited number of steps, falls back to
+ * `sort.nearestNeighbour()` with `sort.mixDistance()`.
+ *
+ * @param {Array} tracks - Tracks with the audio features
+ * `key`, `mode` and `tempo`.
+ * @param {number} [tolerance] - The maximum relative tempo
+ * difference between consecutive tracks. Defaults to `0.08`.
+ * @return {Array} - A new array.
+ */
+sort.harmonic = function (tracks, tolerance) {
+  var steps = 0
+  tolerance = tolerance || 0.08
+
+  // helper functions
+  function compatible (a, b) {
+    return sort.camelotDistance(a, b) <= 1 &&
+      sort.tempoDistance(a, b) <= tolerance
+  }
+
+  function search (path, remaining) {
+    if (remaining.length === 0) {
+      return path
+    } else if (++steps > sort.harmonic.steps) {
+      return null
+    }
+    var last = path[path.length - 1]
+    var candidates = remaining.filter(function (track) {
+      return compatible(last, track)
+    })
+    sort(candidates, sort.ascending(function (track) {
+      return sort.tempoDistance(last, track)
+    }))
+    for (var i = 0; i < candidates.length; i++) {
+      var result = search(path.concat([candidates[i]]), _.without(remaining, candidates[i]))
+      if (result || steps > sort.harmonic.steps) {
+        return result
+      }
+    }
+    return null
+  }
+
+  if (tracks.length < 2) {
+    return tracks.slice()
+  }
+  return search(tracks.slice(0, 1), tracks.slice(1)) ||
+    sort.nearestNeighbour(tracks, sort.mixDistance)
 }
 
+/**
+ * The maximum number of steps of the search in `sort.harmonic()`.
+ */
+sort.harmonic.steps = 10000
+
 module.exports = sort
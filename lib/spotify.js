@@ -1,5 +1,6 @@
 var URI = require('urijs')
 var http = require('./http')
+var Recordings = require('./recordings')
 var SpotifyAuth = require('./auth')
 
 /**
@@ -15,10 +16,126 @@ function SpotifyWebApi (clientId, clientKey, token) {
    */
   this.auth = new SpotifyAuth(clientId, clientKey, token)
 
+  /**
+   * Base URI of the web API.
+   */
+  this.api = 'https://api.spotify.com/v1'
+
+  /**
+   * Response cache, if any.
+   */
+  this.cache = null
+
+  /**
+   * Preferred version of tracks: `clean`, `explicit`,
+   * or the empty string for no preference.
+   */
+  this.censorship = ''
+
+  /**
+   * Maximum number of entries to look up at the same time.
+   */
+  this.concurrency = 1
+
+  /**
+   * Event emitter to notify of progress, if any.
+   */
+  this.emitter = null
+
   /**
    * HTTP function.
    */
   this.http = http
+
+  /**
+   * Logger for progress messages, if any.
+   * Must have a `log` method.
+   */
+  this.logger = console
+
+  /**
+   * Market to look up tracks in, as an
+   * ISO 3166-1 alpha-2 country code.
+   */
+  this.market = ''
+
+  /**
+   * Index of the versions of each recording.
+   */
+  this.recordings = new Recordings(this)
+}
+
+/**
+ * Add tracks to a playlist.
+ *
+ * Spotify accepts at most 100 tracks per request,
+ * so larger lists must be split into batches.
+ *
+ * [Reference](https://developer.spotify.com/web-api/add-tracks-to-playlist/#example).
+ *
+ * @param {string} owner - The owner ID.
+ * @param {string} id - The playlist ID.
+ * @param {Array} uris - An array of Spotify track URIs.
+ * @return {Promise | JSON} A JSON response.
+ */
+SpotifyWebApi.prototype.addTracksToPlaylist = function (owner, id, uris) {
+  var uri = this.api + '/users/' +
+      encodeURIComponent(owner) +
+      '/playlists/' +
+      encodeURIComponent(id) +
+      '/tracks'
+  return this.request(uri, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      uris: uris
+    })
+  }).then(function (response) {
+    if (response &&
+        response.snapshot_id) {
+      return Promise.resolve({body: response})
+    } else {
+      return Promise.reject(response)
+    }
+  })
+}
+
+/**
+ * Create a playlist.
+ *
+ * Requires an access token with the `playlist-modify-public`
+ * or `playlist-modify-private` scope.
+ *
+ * [Reference](https://developer.spotify.com/web-api/create-playlist/#example).
+ *
+ * @param {string} owner - The user ID.
+ * @param {string} name - The name of the playlist.
+ * @param {Object} [opts] - Additional playlist details,
+ * e.g., `{public: false}`.
+ * @return {Promise | JSON} A JSON response.
+ */
+SpotifyWebApi.prototype.createPlaylist = function (owner, name, opts) {
+  var uri = this.api + '/users/' +
+      encodeURIComponent(owner) +
+      '/playlists'
+  opts = opts || {}
+  opts.name = name
+  return this.request(uri, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(opts)
+  }).then(function (response) {
+    if (response &&
+        response.id) {
+      return Promise.resolve({body: response})
+    } else {
+      return Promise.reject(response)
+    }
+  })
 }
 
 /**
@@ -30,9 +147,9 @@ function SpotifyWebApi (clientId, clientKey, token) {
  * @return {Promise | JSON} A JSON response.
  */
 SpotifyWebApi.prototype.getAlbum = function (id) {
-  var uri = 'https://api.spotify.com/v1/albums/'
+  var uri = this.api + '/albums/'
   uri += encodeURIComponent(id)
-  return this.request(uri).then(function (response) {
+  return this.request(this.marketURI(uri)).then(function (response) {
     if (response &&
         response.id) {
       return Promise.resolve({body: response})
@@ -51,12 +168,12 @@ SpotifyWebApi.prototype.getAlbum = function (id) {
  * @return {Promise | JSON} A JSON response.
  */
 SpotifyWebApi.prototype.getArtistAlbums = function (id, opts) {
-  var uri = 'https://api.spotify.com/v1/artists/'
+  var uri = this.api + '/artists/'
   uri += encodeURIComponent(id) + '/albums'
   opts = opts || {}
   opts.limit = opts.limit || 50
   uri += '?' + URI.buildQuery(opts)
-  return this.request(uri).then(function (response) {
+  return this.request(this.marketURI(uri)).then(function (response) {
     if (response &&
         response.items) {
       return Promise.resolve({body: response})
@@ -75,7 +192,7 @@ SpotifyWebApi.prototype.getArtistAlbums = function (id, opts) {
  * @return {Promise | JSON} A JSON response.
  */
 SpotifyWebApi.prototype.getArtistRelatedArtists = function (id) {
-  var uri = 'https://api.spotify.com/v1/artists/'
+  var uri = this.api + '/artists/'
   uri += encodeURIComponent(id) + '/related-artists'
   return this.request(uri).then(function (response) {
     if (response &&
@@ -99,7 +216,7 @@ SpotifyWebApi.prototype.getArtistRelatedArtists = function (id) {
  * @return {Promise | JSON} A JSON response.
  */
 SpotifyWebApi.prototype.getPlaylistTracks = function (owner, id, opts) {
-  var uri = 'https://api.spotify.com/v1/users/' +
+  var uri = this.api + '/users/' +
       encodeURIComponent(owner) +
       '/playlists/' +
       encodeURIComponent(id) +
@@ -109,7 +226,7 @@ SpotifyWebApi.prototype.getPlaylistTracks = function (owner, id, opts) {
   if (opts) {
     uri += '?' + opts
   }
-  return this.request(uri).then(function (response) {
+  return this.request(this.marketURI(uri)).then(function (response) {
     if (response &&
         response.items) {
       return Promise.resolve({body: response})
@@ -125,11 +242,14 @@ SpotifyWebApi.prototype.getPlaylistTracks = function (owner, id, opts) {
  * [Reference](https://developer.spotify.com/web-api/get-artists-top-tracks/#example).
  *
  * @param {string} id - Artist ID.
+ * @param {string} [country] - Country code, default
+ * the market of the handler, or `US`.
  * @return {Promise | JSON} A JSON response.
  */
-SpotifyWebApi.prototype.getArtistTopTracks = function (id) {
-  var uri = 'https://api.spotify.com/v1/artists/'
-  uri += encodeURIComponent(id) + '/top-tracks?country=US'
+SpotifyWebApi.prototype.getArtistTopTracks = function (id, country) {
+  country = country || this.market || 'US'
+  var uri = this.api + '/artists/'
+  uri += encodeURIComponent(id) + '/top-tracks?country=' + country
   return this.request(uri).then(function (response) {
     if (response &&
         response.tracks) {
@@ -149,9 +269,9 @@ SpotifyWebApi.prototype.getArtistTopTracks = function (id) {
  * @return {Promise | JSON} A JSON response.
  */
 SpotifyWebApi.prototype.getTrack = function (id) {
-  var uri = 'https://api.spotify.com/v1/tracks/'
+  var uri = this.api + '/tracks/'
   uri += encodeURIComponent(id)
-  return this.request(uri).then(function (response) {
+  return this.request(this.marketURI(uri)).then(function (response) {
     if (response &&
         response.uri) {
       return Promise.resolve({body: response})
@@ -170,7 +290,7 @@ SpotifyWebApi.prototype.getTrack = function (id) {
  * @return {Promise | JSON} A JSON response.
  */
 SpotifyWebApi.prototype.getAudioFeaturesForTrack = function (id) {
-  var uri = 'https://api.spotify.com/v1/audio-features/'
+  var uri = this.api + '/audio-features/'
   uri += encodeURIComponent(id)
   return this.request(uri).then(function (response) {
     if (response &&
@@ -182,8 +302,153 @@ SpotifyWebApi.prototype.getAudioFeaturesForTrack = function (id) {
   })
 }
 
+/**
+ * Get the profile of the current user.
+ *
+ * Requires a user-scoped access token, e.g., one obtained
+ * with the Implicit Grant Flow.
+ *
+ * [Reference](https://developer.spotify.com/web-api/get-current-users-profile/#example).
+ *
+ * @return {Promise | JSON} A JSON response.
+ */
+SpotifyWebApi.prototype.getMe = function () {
+  var uri = this.api + '/me'
+  return this.request(uri).then(function (response) {
+    if (response &&
+        response.id) {
+      return Promise.resolve({body: response})
+    } else {
+      return Promise.reject(response)
+    }
+  })
+}
+
+/**
+ * Remove tracks from a playlist.
+ *
+ * Spotify accepts at most 100 tracks per request.
+ *
+ * [Reference](https://developer.spotify.com/web-api/remove-tracks-playlist/#example).
+ *
+ * @param {string} owner - The owner ID.
+ * @param {string} id - The playlist ID.
+ * @param {Array} tracks - An array of objects on the form
+ * `{uri: 'spotify:track:xxx', positions: [0, 3]}`.
+ * @return {Promise | JSON} A JSON response.
+ */
+SpotifyWebApi.prototype.removeTracksFromPlaylist = function (owner, id, tracks) {
+  var uri = this.api + '/users/' +
+      encodeURIComponent(owner) +
+      '/playlists/' +
+      encodeURIComponent(id) +
+      '/tracks'
+  return this.request(uri, {
+    method: 'DELETE',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      tracks: tracks
+    })
+  }).then(function (response) {
+    if (response &&
+        response.snapshot_id) {
+      return Promise.resolve({body: response})
+    } else {
+      return Promise.reject(response)
+    }
+  })
+}
+
+/**
+ * Move a track in a playlist.
+ *
+ * [Reference](https://developer.spotify.com/web-api/reorder-playlists-tracks/#example).
+ *
+ * @param {string} owner - The owner ID.
+ * @param {string} id - The playlist ID.
+ * @param {integer} start - The position of the track to move.
+ * @param {integer} before - The position of the track
+ * it is to be inserted before.
+ * @return {Promise | JSON} A JSON response.
+ */
+SpotifyWebApi.prototype.reorderTracksInPlaylist = function (owner, id, start, before) {
+  var uri = this.api + '/users/' +
+      encodeURIComponent(owner) +
+      '/playlists/' +
+      encodeURIComponent(id) +
+      '/tracks'
+  return this.request(uri, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      'range_start': start,
+      'insert_before': before
+    })
+  }).then(function (response) {
+    if (response &&
+        response.snapshot_id) {
+      return Promise.resolve({body: response})
+    } else {
+      return Promise.reject(response)
+    }
+  })
+}
+
+/**
+ * Log a progress message.
+ * @param {string} message - The message.
+ */
+SpotifyWebApi.prototype.log = function (message) {
+  if (this.logger) {
+    this.logger.log(message)
+  }
+}
+
+/**
+ * Add the market to a lookup URI, if a market is set.
+ *
+ * Lookups in a market only return content that is available
+ * there. Tracks that are not available are marked with
+ * `is_playable: false`, and tracks that are available as
+ * another version are relinked to that version, with
+ * the original version in `linked_from`.
+ *
+ * [Reference](https://developer.spotify.com/web-api/track-relinking-guide/).
+ *
+ * @param {string} uri - The URI to look up.
+ * @return {string} The URI with a `market` parameter.
+ */
+SpotifyWebApi.prototype.marketURI = function (uri) {
+  if (!this.market) {
+    return uri
+  }
+  return uri + (uri.match(/\?/) ? '&' : '?') +
+    'market=' + encodeURIComponent(this.market)
+}
+
+/**
+ * Notify the event emitter of an event.
+ * @param {string} event - The name of the event.
+ * @param {Object} data - The event data.
+ */
+SpotifyWebApi.prototype.notify = function (event, data) {
+  if (this.emitter) {
+    this.emitter.emit(event, data)
+  }
+}
+
 /**
  * Perform a Spotify request.
+ *
+ * If a cache is set, GET requests are looked up
+ * in the cache first. If the access token has expired
+ * (401 Unauthorized), it is refreshed and the request
+ * is performed again.
+ *
  * @param {string} uri - The URI to resolve.
  * @param {Object} [options] - Request options.
  * @return {Promise | JSON} A JSON response.
@@ -191,17 +456,29 @@ SpotifyWebApi.prototype.getAudioFeaturesForTrack = function (id) {
 SpotifyWebApi.prototype.request = function (uri, options) {
   var self = this
   options = options || {}
-  console.log(uri)
-  return this.auth.getToken().then(function (token) {
-    options.headers = options.headers || {}
-    options.headers.Authorization = 'Bearer ' + token
-    return self.http(uri, options)
-  }).catch(function (status) {
-    return self.refreshToken().then(function (token) {
+  this.notify('request', {
+    uri: uri,
+    method: (options.method || 'GET').toUpperCase()
+  })
+  function request () {
+    return self.auth.getToken().then(function (token) {
+      options.headers = options.headers || {}
       options.headers.Authorization = 'Bearer ' + token
       return self.http(uri, options)
+    }).catch(function (err) {
+      if (http.status(err) !== 401) {
+        throw err
+      }
+      return self.auth.refreshToken().then(function (token) {
+        options.headers.Authorization = 'Bearer ' + token
+        return self.http(uri, options)
+      })
     })
-  })
+  }
+  if (this.cache) {
+    return this.cache.request(uri, options, request)
+  }
+  return request()
 }
 
 /**
@@ -213,9 +490,9 @@ SpotifyWebApi.prototype.request = function (uri, options) {
  * @return {Promise | JSON} A JSON response.
  */
 SpotifyWebApi.prototype.searchArtists = function (artist) {
-  var uri = 'https://api.spotify.com/v1/search?type=artist&q='
+  var uri = this.api + '/search?type=artist&q='
   uri += encodeURIComponent(artist)
-  return this.request(uri).then(function (response) {
+  return this.request(this.marketURI(uri)).then(function (response) {
     if (response &&
         response.artists &&
         response.artists.items &&
@@ -242,9 +519,9 @@ SpotifyWebApi.prototype.searchAlbums = function (album, artist) {
     query = 'album:"' + album + '"'
     query += artist ? (' artist:"' + artist + '"') : ''
   }
-  var uri = 'https://api.spotify.com/v1/search?type=album&q='
+  var uri = this.api + '/search?type=album&q='
   uri += encodeURIComponent(query)
-  return this.request(uri).then(function (response) {
+  return this.request(this.marketURI(uri)).then(function (response) {
     if (response &&
         response.albums &&
         response.albums.items &&
@@ -267,9 +544,9 @@ SpotifyWebApi.prototype.searchAlbums = function (album, artist) {
  * @return {Promise | JSON} JSON response.
  */
 SpotifyWebApi.prototype.searchPlaylists = function (playlist) {
-  var uri = 'https://api.spotify.com/v1/search?type=playlist&limit=50&q='
+  var uri = this.api + '/search?type=playlist&limit=50&q='
   uri += encodeURIComponent(playlist)
-  return this.request(uri).then(function (response) {
+  return this.request(this.marketURI(uri)).then(function (response) {
     if (response.playlists &&
         response.playlists.items &&
         response.playlists.items[0]) {
@@ -297,9 +574,9 @@ SpotifyWebApi.prototype.searchTracks = function (track, artist, album) {
     query += artist ? (' artist:"' + artist + '"') : ''
     query += album ? (' album:"' + album + '"') : ''
   }
-  var uri = 'https://api.spotify.com/v1/search?type=track&limit=50&q='
+  var uri = this.api + '/search?type=track&limit=50&q='
   uri += encodeURIComponent(query)
-  return this.request(uri).then(function (response) {
+  return this.request(this.marketURI(uri)).then(function (response) {
     if (response.tracks &&
         response.tracks.items &&
         response.tracks.items[0]) {
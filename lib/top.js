@@ -77,10 +77,11 @@ Top.prototype.dispatch = function () {
 
 /**
  * Fetch top tracks.
+ * @param {string} [country] - Country code, default
+ * the market of the request handler, or `US`.
  * @return {Promise | JSON} A JSON response.
  */
 Top.prototype.getArtistTopTracks = function (country) {
-  country = country || 'US'
   var self = this
   return this.spotify.getArtistTopTracks(this.id, country).then(function (response) {
     sort(response.body.tracks, sort.popularity)
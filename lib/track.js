@@ -1,6 +1,6 @@
 var csvStringify = require('csv-stringify/lib/sync')
 var defaults = require('./defaults')
-var lastfm = require('./lastfm')(defaults.api)
+var lastfm = require('./lastfm')
 var sort = require('./sort')
 var util = require('./util')
 
@@ -17,6 +17,11 @@ function Track (spotify, entry, artist, name, album, id) {
    */
   this.album = ''
 
+  /**
+   * Album type (`album`, `single` or `compilation`).
+   */
+  this.album_type = ''
+
   /**
    * Track artists, separated by `,`.
    */
@@ -27,6 +32,11 @@ function Track (spotify, entry, artist, name, album, id) {
    */
   this.artists = null
 
+  /**
+   * URL of the album cover image.
+   */
+  this.cover = ''
+
   /**
    * Entry string.
    */
@@ -83,6 +93,11 @@ function Track (spotify, entry, artist, name, album, id) {
    */
   this.uri = ''
 
+  /**
+   * Release year of the track's album.
+   */
+  this.year = null
+
   this.entry = entry.trim()
   this.name = name
   this.artist = artist
@@ -93,14 +108,39 @@ function Track (spotify, entry, artist, name, album, id) {
 
 /**
  * Clone a JSON response.
+ *
+ * If the response is another version of the track (i.e., it has
+ * a different URI), the audio features of the track are cleared,
+ * so that they are fetched anew for the new version.
+ *
  * @param {Object} response - The response.
  */
 Track.prototype.clone = function (response) {
+  var self = this
+  if (response.uri && this.uri && response.uri !== this.uri) {
+    Track.features.forEach(function (feature) {
+      delete self[feature]
+      delete self['un' + feature]
+    })
+  }
   for (var prop in response) {
     if (response.hasOwnProperty(prop)) {
       this[prop] = response[prop]
     }
   }
+  if (response.album &&
+      response.album.release_date) {
+    this.year = parseInt(response.album.release_date)
+  }
+  if (response.album &&
+      response.album.album_type) {
+    this.album_type = response.album.album_type
+  }
+  if (response.album &&
+      response.album.images &&
+      response.album.images[0]) {
+    this.cover = response.album.images[0].url
+  }
   if (response.album &&
       response.album.name) {
     this.album = response.album.name
@@ -120,7 +160,8 @@ Track.prototype.clone = function (response) {
 }
 
 /**
- * Track data in CSV format, with the following fields:
+ * Track data in CSV format. By default, the fields are
+ * the ones in `Track.columns`:
  *
  * Spotify URI,
  * Track Name,
@@ -132,23 +173,144 @@ Track.prototype.clone = function (response) {
  * Spotify popularity,
  * Last.fm rating
  *
+ * @param {Array} [columns] - The track properties to include,
+ * e.g., `['uri', 'name', 'tempo']`.
  * @return {string} Track data in CSV format.
  */
-Track.prototype.csv = function () {
-  function numberToString (num) {
-    return (Number.isInteger(num) && (num >= 0)) ? num : ''
+Track.prototype.csv = function (columns) {
+  var self = this
+  function valueToString (val) {
+    if (typeof val === 'number') {
+      return isFinite(val) ? val : ''
+    } else if (Array.isArray(val)) {
+      return val.join(', ')
+    } else if (val === undefined || val === null) {
+      return ''
+    }
+    return val + ''
   }
-  return csvStringify([[
-    this.uri,
-    this.name,
-    this.artist,
-    this.album,
-    numberToString(this.disc_number),
-    numberToString(this.track_number),
-    numberToString(this.duration_ms),
-    numberToString(this.popularity),
-    numberToString(this.lastfm)
-  ]]).trim()
+  columns = columns || Track.columns
+  return csvStringify([columns.map(function (column) {
+    return valueToString(self[column])
+  })]).trim()
+}
+
+/**
+ * Track data as a plain object, for the `json` and `jsonl`
+ * output formats. The object has the following fields,
+ * which are `null` if unknown:
+ *
+ * - `schema`: the version of the schema (`Track.schema`)
+ * - `uri`, `id`: the Spotify URI and ID
+ * - `isrc`: the International Standard Recording Code
+ * - `name`, `artist`, `artists`: the track name and artists
+ * - `album`, `album_type`, `year`: the album and its release year
+ * - `disc_number`, `track_number`, `duration_ms`
+ * - `popularity`, `explicit`, `is_playable`
+ * - `linked_from`: the ID and URI of the track that was
+ *   replaced by this version, if any
+ * - `features`: the audio features, if fetched
+ * - `lastfm`: the `global` and `personal` Last.fm playcounts,
+ *   if fetched
+ * - `entry`, `line`, `weight`: the entry string, its line
+ *   in the generator string, and its weight
+ *
+ * @return {Object} Track data.
+ */
+Track.prototype.json = function () {
+  var self = this
+  function value (val) {
+    return (val === undefined || val === '' ||
+            (typeof val === 'number' && isNaN(val))) ? null : val
+  }
+  var features = null
+  Track.features.forEach(function (prop) {
+    if (value(self[prop]) !== null) {
+      features = features || {}
+      features[prop] = self[prop]
+    }
+  })
+  var lastfm = null
+  if (value(this.lastfmGlobal) !== null ||
+      value(this.lastfmPersonal) !== null) {
+    lastfm = {
+      global: value(this.lastfmGlobal),
+      personal: value(this.lastfmPersonal)
+    }
+  }
+  return {
+    schema: Track.schema,
+    uri: value(this.uri),
+    id: value(this.id),
+    isrc: value(this.external_ids && this.external_ids.isrc),
+    name: value(this.name),
+    artist: value(this.artist),
+    artists: this.artists ? this.artists.slice() : null,
+    album: value(this.album),
+    album_type: value(this.album_type),
+    year: value(this.year),
+    disc_number: value(this.disc_number),
+    track_number: value(this.track_number),
+    duration_ms: value(this.duration_ms),
+    popularity: value(this.popularity),
+    explicit: value(this.explicit),
+    is_playable: value(this.is_playable),
+    linked_from: this.linked_from ? {
+      id: value(this.linked_from.id),
+      uri: value(this.linked_from.uri)
+    } : null,
+    features: features,
+    lastfm: lastfm,
+    entry: value(this.entry),
+    line: value(this.line),
+    weight: value(this.weight)
+  }
+}
+
+/**
+ * Track data in extended M3U format: an `#EXTINF` line with
+ * the duration in seconds and the title, an `#EXTALB` line with
+ * the album name, and the Spotify URI as the location.
+ * @return {string} Track data in M3U format.
+ */
+Track.prototype.m3u = function () {
+  function clean (str) {
+    return (str || '').replace(/[\r\n]+/g, ' ')
+  }
+  var seconds = -1
+  if (Number.isInteger(this.duration_ms)) {
+    seconds = Math.round(this.duration_ms / 1000)
+  }
+  var result = '#EXTINF:' + seconds + ',' + clean(this.title || this.uri) + '\n'
+  if (this.album) {
+    result += '#EXTALB:' + clean(this.album) + '\n'
+  }
+  return result + this.uri
+}
+
+/**
+ * Track data in XSPF format, as a `<track>` element with
+ * the Spotify URI as location and identifier, and the title,
+ * artist, album and duration (in milliseconds).
+ * @return {string} Track data in XSPF format.
+ */
+Track.prototype.xspf = function () {
+  var result = '    <track>\n'
+  function element (name, value) {
+    if (value !== undefined && value !== null && value !== '') {
+      result += '      <' + name + '>' + util.escapeXml(value) +
+        '</' + name + '>\n'
+    }
+  }
+  element('location', this.uri)
+  element('identifier', this.uri)
+  element('title', this.name)
+  element('creator', this.artist)
+  element('album', this.album)
+  if (Number.isInteger(this.duration_ms)) {
+    element('duration', this.duration_ms)
+  }
+  return result + '    </track>'
 }
 
 /**
@@ -210,7 +372,7 @@ Track.prototype.getLastfm = function (user) {
   return this.getProperty('artist').then(function () {
     return self.getProperty('name')
   }).then(function () {
-    return lastfm.getInfo(self.artist, self.name, user).then(function (result) {
+    return lastfm(defaults.api, self.spotify).getInfo(self.artist, self.name, user).then(function (result) {
       self.lastfmGlobal = parseInt(result.track.playcount)
       self.lastfmPersonal = parseInt(result.track.userplaycount)
       self.lastfm = self.lastfmPersonal > -1 ? self.lastfmPersonal : self.lastfmGlobal
@@ -268,11 +430,16 @@ Track.prototype.getProperty = function (prop) {
       return self.getProperty('id').then(function () {
         return self.getAudioFeaturesForTrack()
       })
-    } else if (prop === 'popularity') {
+    } else if (prop === 'popularity' ||
+               prop === 'duration_ms' ||
+               prop === 'explicit' ||
+               prop === 'external_ids' ||
+               prop === 'year') {
       return self.getProperty('id').then(function () {
         return self.getTrack()
       })
     } else if (prop === 'artist' ||
+               prop === 'artists' ||
                prop === 'name' ||
                prop === 'album') {
       if (self.id) {
@@ -309,9 +476,6 @@ Track.prototype.getTrack = function (id) {
     return this.spotify.getTrack(id).then(function (response) {
       self.clone(response.body)
       return self
-    }).catch(function () {
-      console.log('COULD NOT FIND: ' + self.entry)
-      return Promise.reject(null)
     })
   }
 }
@@ -341,6 +505,87 @@ Track.prototype.hasArtist = function (artist) {
   return false
 }
 
+/**
+ * Relink the track if it is not playable in the market of
+ * the request handler.
+ *
+ * Spotify relinks most tracks by itself when looking them up
+ * in a market. If the track is still not playable, look for
+ * another version of the same recording (by ISRC) that is,
+ * and otherwise search for another version by name (e.g., a
+ * remaster). The original version is stored in `linked_from`.
+ *
+ * @return {Promise | Track} Itself, or a rejection if there
+ * is no playable version.
+ */
+Track.prototype.relink = function () {
+  var self = this
+  var market = this.spotify.market
+  var fetched = Number.isInteger(this.popularity) ||
+      this.is_playable !== undefined
+  var ready = fetched ? Promise.resolve(this) : this.getTrack()
+  return ready.then(function () {
+    if (self.is_playable !== false) {
+      return self
+    }
+    var recordings = self.spotify.recordings
+    var ready = recordings ? recordings.lookup(self) : Promise.resolve([])
+    return ready.then(function (versions) {
+      var playable = versions.filter(function (item) {
+        return item.is_playable !== false
+      })
+      return playable[0] || self.searchVersion(function (item) {
+        return item.is_playable !== false
+      })
+    }).then(function (item) {
+      var original = {
+        id: self.id,
+        uri: self.uri
+      }
+      self.clone(item)
+      self.linked_from = original
+      return self
+    }).catch(function () {
+      return Promise.reject(new Error('not playable in market ' + market))
+    })
+  })
+}
+
+/**
+ * Search for another version of the track, with the same name
+ * and artist (e.g., on another album).
+ * @param {function} [fn] - A predicate function. Takes a track
+ * JSON object as input and returns `true` if the version is
+ * acceptable, `false` otherwise.
+ * @return {Promise | Object} The acceptable version with the
+ * closest duration, as a track JSON object, or a rejection
+ * if there is none.
+ */
+Track.prototype.searchVersion = function (fn) {
+  var self = this
+  var name = util.stripNoise(this.name)
+  fn = fn || function () {
+    return true
+  }
+  return self.spotify.searchTracks(name, self.mainArtist).then(function (response) {
+    var duration = self.duration_ms || 0
+    var tracks = response.body.tracks.items.filter(function (item) {
+      var track = new Track(self.spotify, self.entry)
+      track.clone(item)
+      return item.uri !== self.uri &&
+        fn(item) &&
+        track.hasArtist(self.mainArtist) &&
+        util.toAscii(util.stripNoise(track.name)).toLowerCase() ===
+        util.toAscii(name).toLowerCase()
+    })
+    sort(tracks, function (a, b) {
+      return Math.abs(a.duration_ms - duration) -
+        Math.abs(b.duration_ms - duration)
+    })
+    return tracks[0] || Promise.reject(null)
+  })
+}
+
 /**
  * Search for track.
  * @param {string} [track] - The track.
@@ -369,13 +614,12 @@ Track.prototype.searchTracks = function (track, artist, album) {
         // odd cases where a random track from an album of the same name
         // is returned as the first hit.
         if (!artist) {
-          sort(response.body.tracks.items, sort.track(query))
+          sort(response.body.tracks.items, sort.track(query, self.spotify.censorship))
         }
         response = response.body.tracks.items[0]
         self.clone(response)
         return Promise.resolve(self)
       } else {
-        console.log('COULD NOT FIND: ' + self.entry)
         return Promise.reject(response)
       }
     })
@@ -389,32 +633,31 @@ Track.prototype.searchTracks = function (track, artist, album) {
   }
 
   function searchTrackArtistAlbum (title, artist, album) {
-    return searchTrackArtist(track, artist, album).catch(function () {
+    return searchTrackArtist(track, artist, album).catch(function (err) {
       if (album) {
         // try again without artist
         return searchTrackArtist(track, artist)
       } else {
-        return Promise.reject(null)
+        return Promise.reject(err)
       }
     })
   }
 
   function searchQuery (query) {
-    return search(query).catch(function () {
+    return search(query).catch(function (err) {
       // try again with simplified search query
       var str = util.toAscii(util.stripNoise(query))
       if (str && str !== query) {
         return search(str)
       } else {
-        return Promise.reject(null)
+        return Promise.reject(err)
       }
-    }).catch(function () {
+    }).catch(function (err) {
       // try again as ID
       if (query.match(/^[0-9a-z]+$/i)) {
         return self.getTrack(query)
       } else {
-        console.log('COULD NOT FIND: ' + self.entry)
-        return Promise.reject(null)
+        return Promise.reject(err)
       }
     })
   }
@@ -468,4 +711,44 @@ Track.prototype.toString = function () {
   return this.title || this.name || this.entry || this.id
 }
 
+/**
+ * The default fields of `csv()`, in the format used by
+ * [Exportify](https://github.com/watsonbox/exportify).
+ */
+Track.columns = [
+  'uri',
+  'name',
+  'artist',
+  'album',
+  'disc_number',
+  'track_number',
+  'duration_ms',
+  'popularity',
+  'lastfm'
+]
+
+/**
+ * The version of the schema of `json()`. It is incremented
+ * whenever a field is renamed or removed, or changes meaning.
+ */
+Track.schema = 1
+
+/**
+ * The audio features included by `json()`.
+ */
+Track.features = [
+  'acousticness',
+  'danceability',
+  'energy',
+  'instrumentalness',
+  'key',
+  'liveness',
+  'loudness',
+  'mode',
+  'speechiness',
+  'tempo',
+  'time_signature',
+  'valence'
+]
+
 module.exports = Track
@@ -3,6 +3,43 @@ var _ = require('lodash')
 
 var util = {}
 
+/**
+ * Escape a string for use in XML text and attribute values.
+ * @param {string} str - A string.
+ * @return {string} A new string.
+ */
+util.escapeXml = function (str) {
+  return (str === undefined || str === null ? '' : str + '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Format a time duration.
+ * @param {integer} ms - A duration in milliseconds.
+ * @return {string} The duration on the form `m:ss`
+ * or `h:mm:ss`, or the empty string if unknown.
+ */
+util.formatDuration = function (ms) {
+  function pad (num) {
+    return (num < 10 ? '0' : '') + num
+  }
+  if (typeof ms !== 'number' || !isFinite(ms)) {
+    return ''
+  }
+  var seconds = Math.round(ms / 1000)
+  var hours = Math.floor(seconds / 3600)
+  var minutes = Math.floor(seconds % 3600 / 60)
+  seconds = seconds % 60
+  if (hours > 0) {
+    return hours + ':' + pad(minutes) + ':' + pad(seconds)
+  }
+  return minutes + ':' + pad(seconds)
+}
+
 /**
  * Lightly clean up a string's contents.
  *
@@ -50,6 +87,139 @@ util.paging = function (spotify, method, args, opts, result) {
   })
 }
 
+/**
+ * Parse a line of comma-separated values.
+ *
+ * Fields may be quoted with `"`, in which case they may
+ * contain commas, and quotes are escaped as `""`.
+ *
+ * @param {string} str - A line of comma-separated values.
+ * @return {Array} An array of fields.
+ */
+util.parseCSV = function (str) {
+  var fields = []
+  var field = ''
+  var quoted = false
+  str = str || ''
+  for (var i = 0; i < str.length; i++) {
+    var c = str[i]
+    if (quoted) {
+      if (c === '"' && str[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        field += c
+      }
+    } else if (c === '"') {
+      quoted = true
+    } else if (c === ',') {
+      fields.push(field)
+      field = ''
+    } else {
+      field += c
+    }
+  }
+  fields.push(field)
+  return fields
+}
+
+/**
+ * Parse a time duration.
+ *
+ * The duration may be given in hours, minutes and seconds,
+ * e.g., `2h`, `1h30m`, `90 min` or `45s`, or on the form
+ * `h:mm:ss` or `m:ss`. A plain number is read as minutes.
+ *
+ * @param {string} str - A duration.
+ * @return {integer} The duration in milliseconds,
+ * or `null` if the string cannot be parsed.
+ */
+util.parseDuration = function (str) {
+  var units = {
+    h: 3600,
+    m: 60,
+    s: 1
+  }
+  var seconds = 0
+  var match = null
+  str = (str || '').trim().toLowerCase()
+  if (str.match(/^[0-9]*\.?[0-9]+$/)) {
+    seconds = parseFloat(str) * 60
+  } else if (str.match(/^[0-9]+(:[0-9]{1,2}){1,2}$/)) {
+    str.split(':').forEach(function (part) {
+      seconds = seconds * 60 + parseInt(part)
+    })
+  } else if (str.match(/^([0-9]*\.?[0-9]+\s*[a-z]+\s*)+$/)) {
+    var regexp = /([0-9]*\.?[0-9]+)\s*(h|hours?|hrs?|m|min|mins|minutes?|s|sec|secs|seconds?)(?![a-z])/g
+    var rest = str
+    while ((match = regexp.exec(str))) {
+      seconds += parseFloat(match[1]) * units[match[2][0]]
+      rest = rest.replace(match[0], '')
+    }
+    if (rest.trim()) {
+      return null
+    }
+  } else {
+    return null
+  }
+  return Math.round(seconds * 1000)
+}
+
+/**
+ * Create a pseudo-random number generator.
+ *
+ * Uses the Mulberry32 algorithm, so that the same seed
+ * always gives the same sequence of numbers.
+ *
+ * @param {integer} [seed] - The seed. Defaults to `0`.
+ * @return {function} A function that returns a number
+ * between `0` (inclusive) and `1` (exclusive).
+ */
+util.random = function (seed) {
+  var state = (seed || 0) >>> 0
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0
+    var x = state
+    x = Math.imul(x ^ (x >>> 15), x | 1)
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61)
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Remove version suffixes from a track name.
+ *
+ * A suffix is a parenthesized or bracketed annotation,
+ * or a part following ` - `, such as `(Live)`,
+ * `[2009 Remaster]` or `- Radio Edit`. Only suffixes
+ * that contain one of the given words are removed.
+ * Word endings like `-ed` are ignored, so that `remastered`
+ * also matches `Remaster`.
+ *
+ * @param {string} str - A track name.
+ * @param {Array} words - Words to look for, e.g.,
+ * `['remastered', 'live', 'radio edit']`.
+ * @return {string} A new string.
+ */
+util.stripSuffixes = function (str, words) {
+  str = str || ''
+  var stems = (words || []).map(function (word) {
+    return _.escapeRegExp(word.trim().toLowerCase().replace(/(ed|ing)$/, ''))
+  }).filter(_.identity)
+  if (!stems.length) {
+    return str
+  }
+  var pattern = new RegExp('\\b(' + stems.join('|') + ')', 'i')
+  var suffix = /\s*(\([^)]*\)|\[[^\]]*]|\s-\s[^()[\]]*)$/
+  var match = null
+  while ((match = str.match(suffix)) && match[0].match(pattern)) {
+    str = str.substr(0, match.index)
+  }
+  return str.trim()
+}
+
 /**
  * Replace Unicode punctuation with their ASCII equivalents.
  *
@@ -1,20 +1,303 @@
-/* global describe, it */
+/* global describe, it, before, after */
 var chai = require('chai')
 var chaiAsPromised = require('chai-as-promised')
+var express = require('express')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var querystring = require('querystring')
 chai.use(chaiAsPromised)
 chai.should()
 
 var Artist = require('../lib/artist')
 var Album = require('../lib/album')
+var Cache = require('../lib/cache')
+var config = require('../lib/config')
+var diff = require('../lib/diff')
+var filter = require('../lib/filter')
 var Generator = require('../lib/generator')
+var http = require('../lib/http')
 var Playlist = require('../lib/playlist')
 var Queue = require('../lib/queue')
+var Report = require('../lib/report')
 var Similar = require('../lib/similar')
+var SpotifyAuth = require('../lib/auth')
+var SpotifyWebApi = require('../lib/spotify')
 var Track = require('../lib/track')
 var Top = require('../lib/top')
 var sort = require('../lib/sort')
 var util = require('../lib/util')
 
+// local stand-in for the Spotify web API, recording
+// the requests it receives in `standIn.requests`
+var standIn = {
+  albums: {},
+  features: {},
+  requests: [],
+  playlists: {},
+  tracks: {}
+}
+
+standIn.start = function () {
+  var app = express()
+  app.use(function (req, res, next) {
+    var body = ''
+    req.on('data', function (chunk) {
+      body += chunk
+    })
+    req.on('end', function () {
+      if (req.is('application/x-www-form-urlencoded')) {
+        req.body = querystring.parse(body)
+      } else {
+        req.body = body ? JSON.parse(body) : {}
+      }
+      standIn.requests.push({
+        method: req.method,
+        path: req.path,
+        body: req.body
+      })
+      next()
+    })
+  })
+  app.post('/api/token', function (req, res) {
+    if (req.body.grant_type === 'refresh_token' &&
+        req.body.refresh_token !== 'revoked') {
+      res.json({
+        access_token: 'refreshed',
+        refresh_token: 'rotated'
+      })
+    } else if (req.body.grant_type === 'authorization_code' &&
+               req.body.code_verifier) {
+      res.json({
+        access_token: 'authorized',
+        refresh_token: 'initial'
+      })
+    } else if (req.body.grant_type === 'client_credentials') {
+      res.json({access_token: 'anonymous'})
+    } else {
+      res.status(400).json({error: 'invalid_grant'})
+    }
+  })
+  app.get('/v1/tracks/:id', function (req, res) {
+    if (req.get('Authorization') === 'Bearer expired') {
+      return res.status(401).json({error: {status: 401, message: 'The access token expired'}})
+    }
+    if (req.params.id === 'lost') {
+      // the track "lost" cannot be looked up
+      return res.status(404).json({error: {status: 404, message: 'non existing id'}})
+    }
+    var track = standIn.track(req.params.id)
+    if (req.query.market) {
+      // the tracks "unplayable" and "gone" are not
+      // available in any market
+      track.is_playable = !req.params.id.match(/^(unplayable|gone)$/)
+    }
+    res.json(track)
+  })
+  app.get('/v1/audio-features/:id', function (req, res) {
+    // audio features, with the values in `standIn.features[id]`
+    var features = {
+      id: req.params.id,
+      energy: 0.5,
+      key: 0,
+      mode: 1,
+      tempo: 100,
+      valence: 0.5
+    }
+    for (var prop in standIn.features[req.params.id]) {
+      features[prop] = standIn.features[req.params.id][prop]
+    }
+    res.json(features)
+  })
+  app.all('/status/:codes', function (req, res) {
+    // respond with each status code in turn, then 200
+    var codes = req.params.codes.split(',')
+    var count = standIn.requests.filter(function (r) {
+      return r.path === req.path
+    }).length
+    var code = parseInt(codes[count - 1]) || 200
+    if (code === 429) {
+      res.set('Retry-After', '1')
+    }
+    res.status(code).json({status: code})
+  })
+  app.get('/v1/search', function (req, res) {
+    var type = req.query.type + 's'
+    var result = {}
+    result[type] = {items: [], total: 0}
+    if (type === 'tracks' && req.query.q.match(/^isrc:/)) {
+      // the versions of a recording in `standIn.tracks`
+      var isrc = req.query.q.replace(/^isrc:/, '')
+      result.tracks.items = Object.keys(standIn.tracks).filter(function (id) {
+        var ids = standIn.tracks[id].external_ids
+        return ids && ids.isrc === isrc
+      }).map(standIn.track)
+    } else if (type === 'tracks' && req.query.q.match(/Track rude/)) {
+      // a clean version and an explicit version of a different length
+      var clean = standIn.track('tame')
+      clean.name = 'Track rude'
+      clean.duration_ms = 198000
+      var longer = standIn.track('long')
+      longer.name = 'Track rude (Extended)'
+      longer.duration_ms = 400000
+      result.tracks.items = [standIn.track('rude'), longer, clean]
+    } else if (type === 'tracks' && req.query.q.match(/Track unplayable/)) {
+      // another version of the track "unplayable"
+      var track = standIn.track('alt')
+      track.name = 'Track unplayable (Remastered)'
+      track.is_playable = true
+      result.tracks.items = [standIn.track('unplayable'), track]
+      result.tracks.items[0].is_playable = false
+    } else if (type === 'albums') {
+      // the albums in `standIn.albums`, without their tracks
+      result.albums.items = Object.keys(standIn.albums).map(function (id) {
+        var album = standIn.album(id)
+        delete album.tracks
+        return album
+      })
+    }
+    res.json(result)
+  })
+  app.get('/v1/albums/:id', function (req, res) {
+    if (!standIn.albums[req.params.id]) {
+      return res.status(404).json({error: {status: 404, message: 'non existing id'}})
+    }
+    res.json(standIn.album(req.params.id))
+  })
+  app.get('/v1/me', function (req, res) {
+    res.json({id: 'testuser'})
+  })
+  app.post('/v1/users/:owner/playlists', function (req, res) {
+    var id = 'playlist' + Object.keys(standIn.playlists).length
+    standIn.playlists[id] = []
+    res.status(201).json({
+      id: id,
+      name: req.body.name,
+      owner: {id: req.params.owner},
+      uri: 'spotify:user:' + req.params.owner + ':playlist:' + id
+    })
+  })
+  app.get('/v1/users/:owner/playlists/:id/tracks', function (req, res) {
+    res.json({
+      items: standIn.playlists[req.params.id].map(function (uri) {
+        // `null` is an unavailable track; in a market, a track
+        // with `standIn.tracks[id].relinked` is relinked to it
+        var id = uri && uri.replace(/.*:/, '')
+        var relinked = req.query.market && standIn.tracks[id] && standIn.tracks[id].relinked
+        if (relinked) {
+          return {track: {uri: 'spotify:track:' + relinked, name: relinked, linked_from: {uri: uri}}}
+        }
+        return {track: uri && {uri: uri, name: id}}
+      }),
+      next: null
+    })
+  })
+  app.post('/v1/users/:owner/playlists/:id/tracks', function (req, res) {
+    var tracks = standIn.playlists[req.params.id]
+    tracks.push.apply(tracks, req.body.uris)
+    res.status(201).json({snapshot_id: 'snapshot' + tracks.length})
+  })
+  app.delete('/v1/users/:owner/playlists/:id/tracks', function (req, res) {
+    var tracks = standIn.playlists[req.params.id]
+    var positions = []
+    var valid = req.body.tracks.every(function (track) {
+      positions = positions.concat(track.positions)
+      return track.positions.every(function (position) {
+        return tracks[position] === track.uri
+      })
+    })
+    if (!valid) {
+      return res.status(400).json({error: {status: 400, message: 'Could not remove tracks'}})
+    }
+    positions.sort(function (a, b) {
+      return b - a
+    }).forEach(function (position) {
+      tracks.splice(position, 1)
+    })
+    res.json({snapshot_id: 'snapshot' + tracks.length})
+  })
+  app.put('/v1/users/:owner/playlists/:id/tracks', function (req, res) {
+    var tracks = standIn.playlists[req.params.id]
+    var start = req.body.range_start
+    var before = req.body.insert_before
+    var track = tracks.splice(start, 1)[0]
+    tracks.splice(before > start ? before - 1 : before, 0, track)
+    res.json({snapshot_id: 'snapshot' + tracks.length})
+  })
+  return new Promise(function (resolve) {
+    standIn.server = app.listen(0, 'localhost', function () {
+      standIn.accounts = 'http://localhost:' + standIn.server.address().port
+      standIn.api = standIn.accounts + '/v1'
+      resolve(standIn)
+    })
+  })
+}
+
+// album object, with the name and images in `standIn.albums[id]`
+// and the tracks listed by ID
+standIn.album = function (id) {
+  var album = standIn.albums[id]
+  return {
+    album_type: 'album',
+    artists: [{name: 'Artist'}],
+    id: id,
+    images: album.images || [],
+    name: album.name,
+    tracks: {
+      items: album.tracks.map(function (id) {
+        // the tracks of an album have no album object
+        var track = standIn.track(id)
+        delete track.album
+        return track
+      })
+    },
+    uri: 'spotify:album:' + id
+  }
+}
+
+// track object, with the fields in `standIn.tracks[id]`
+standIn.track = function (id) {
+  var track = {
+    album: {
+      name: 'Album',
+      release_date: '2000-01-01'
+    },
+    artists: [{name: 'Artist'}],
+    duration_ms: 200000,
+    explicit: false,
+    id: id,
+    name: 'Track ' + id,
+    popularity: 50,
+    uri: 'spotify:track:' + id
+  }
+  for (var prop in standIn.tracks[id]) {
+    track[prop] = standIn.tracks[id][prop]
+  }
+  return track
+}
+
+standIn.stop = function () {
+  standIn.server.close()
+}
+
+standIn.reset = function () {
+  standIn.albums = {}
+  standIn.features = {}
+  standIn.requests = []
+  standIn.playlists = {}
+  standIn.tracks = {}
+}
+
+// generator whose requests go to the stand-in
+standIn.generator = function (str) {
+  var generator = new Generator(str, {
+    token: 'token',
+    logger: null
+  })
+  generator.spotify.api = standIn.api
+  return generator
+}
+
 describe('Spotify Playlist Generator', function () {
   this.timeout(999999)
 
@@ -56,6 +339,84 @@ describe('Spotify Playlist Generator', function () {
         return (x < y) ? -1 : ((x > y) ? 1 : 0)
       }).should.eql([[1, 0], [2, 2], [4, 1], [4, 3], [8, 4]])
     })
+
+    it('should order tracks for smooth transitions', function () {
+      var tracks = [0.4, 0.9, 0.1, 0.8, 0.3, 0.2, 0.7].map(function (x) {
+        return {energy: x}
+      })
+      sort.flow(tracks).map(function (track) {
+        return track.energy
+      }).should.eql([0.4, 0.3, 0.2, 0.1, 0.7, 0.8, 0.9])
+    })
+
+    it('should order tracks deterministically for a seed', function () {
+      var random = util.random(1)
+      var tracks = []
+      for (var i = 0; i < 30; i++) {
+        tracks.push({id: i, energy: random(), valence: random(), tempo: 60 + 120 * random()})
+      }
+      function ids (arr) {
+        return arr.map(function (track) {
+          return track.id
+        })
+      }
+      var result = ids(sort.flow(tracks, 42))
+      result[0].should.eql(0)
+      result.slice().sort(function (a, b) {
+        return a - b
+      }).should.eql(ids(tracks))
+      ids(sort.flow(tracks, 42)).should.eql(result)
+    })
+
+    it('should interpolate a curve', function () {
+      sort.interpolate([0, 1], 5).should.eql([0, 0.25, 0.5, 0.75, 1])
+      sort.interpolate([0, 1, 0], 3).should.eql([0, 1, 0])
+      sort.interpolate([5], 2).should.eql([5, 5])
+    })
+
+    it('should arrange elements along a curve', function () {
+      sort.curve([3, 1, null, 4, 2, 5], function (x) {
+        return x
+      }, [0, 10, 0]).should.eql([1, 3, 5, 4, 2, null])
+    })
+
+    it('should find the Camelot wheel position of a key', function () {
+      sort.camelot({key: 0, mode: 1}).should.eql({number: 8, letter: 'B'})
+      sort.camelot({key: 9, mode: 0}).should.eql({number: 8, letter: 'A'})
+      sort.camelot({key: 11, mode: 1}).should.eql({number: 1, letter: 'B'})
+      chai.expect(sort.camelot({key: -1, mode: 1})).to.eql(null)
+      sort.camelotDistance({key: 0, mode: 1}, {key: 7, mode: 1}).should.eql(1)
+      sort.camelotDistance({key: 0, mode: 1}, {key: 9, mode: 0}).should.eql(1)
+      sort.camelotDistance({key: 0, mode: 1}, {key: 6, mode: 1}).should.eql(6)
+    })
+
+    it('should order tracks for harmonic mixing', function () {
+      // 8B, 9B, 8A, 9A
+      var tracks = [
+        {id: 'c', key: 0, mode: 1, tempo: 120},
+        {id: 'am', key: 9, mode: 0, tempo: 119},
+        {id: 'em', key: 4, mode: 0, tempo: 118},
+        {id: 'g', key: 7, mode: 1, tempo: 121}
+      ]
+      sort.harmonic(tracks).map(function (track) {
+        return track.id
+      }).should.eql(['c', 'g', 'em', 'am'])
+    })
+
+    it('should fall back to the nearest harmonic neighbour', function () {
+      // 8B, 3B, 9B, 2B, 8A: 3B and 2B are only
+      // compatible with each other
+      var tracks = [
+        {id: 'c', key: 0, mode: 1, tempo: 120},
+        {id: 'db', key: 1, mode: 1, tempo: 122},
+        {id: 'g', key: 7, mode: 1, tempo: 124},
+        {id: 'fs', key: 6, mode: 1, tempo: 126},
+        {id: 'am', key: 9, mode: 0, tempo: 118}
+      ]
+      sort.harmonic(tracks).map(function (track) {
+        return track.id
+      }).should.eql(['c', 'am', 'g', 'fs', 'db'])
+    })
   })
 
   describe('Utilities', function () {
@@ -84,6 +445,197 @@ describe('Spotify Playlist Generator', function () {
     it('should remove extra whitespace', function () {
       util.stripWhitespace(' test1  - test2 ').should.eql('test1 - test2')
     })
+
+    it('should generate reproducible random numbers', function () {
+      var x = util.random(42)
+      var y = util.random(42)
+      var numbers = [x(), x(), x()]
+      numbers.should.eql([y(), y(), y()])
+      numbers.forEach(function (n) {
+        n.should.be.within(0, 1)
+      })
+      util.random(43)().should.not.eql(numbers[0])
+    })
+
+    it('should strip version suffixes', function () {
+      util.stripSuffixes('Song - Remastered 2011', ['remastered']).should.eql('Song')
+      util.stripSuffixes('Song (Live) [2009 Remaster]', ['remastered', 'live']).should.eql('Song')
+      util.stripSuffixes('Song - Radio Edit', ['radio edit']).should.eql('Song')
+      util.stripSuffixes('Song (Live at Wembley)', ['remastered']).should.eql('Song (Live at Wembley)')
+      util.stripSuffixes('Live Forever', ['live']).should.eql('Live Forever')
+    })
+
+    it('should parse durations', function () {
+      util.parseDuration('2h').should.eql(7200000)
+      util.parseDuration('1h 30min').should.eql(5400000)
+      util.parseDuration('45s').should.eql(45000)
+      util.parseDuration('1:30:00').should.eql(5400000)
+      util.parseDuration('90').should.eql(5400000)
+      chai.expect(util.parseDuration('two hours')).to.eql(null)
+    })
+
+    it('should format durations', function () {
+      util.formatDuration(200000).should.eql('3:20')
+      util.formatDuration(5405000).should.eql('1:30:05')
+      util.formatDuration(null).should.eql('')
+    })
+
+    it('should parse comma-separated values', function () {
+      util.parseCSV('a,b,,c').should.eql(['a', 'b', '', 'c'])
+      util.parseCSV('"a, b","say ""hi""",c').should.eql(['a, b', 'say "hi"', 'c'])
+    })
+  })
+
+  describe('Diff', function () {
+    function apply (source, changes) {
+      var list = source.slice()
+      changes.removals.slice().reverse().forEach(function (removal) {
+        list.splice(removal.position, 1)
+      })
+      list = list.concat(changes.additions)
+      changes.moves.forEach(function (move) {
+        var uri = list.splice(move.from, 1)[0]
+        list.splice(move.to > move.from ? move.to - 1 : move.to, 0, uri)
+      })
+      return list
+    }
+
+    it('should find no changes in equal lists', function () {
+      diff(['a', 'b', 'c'], ['a', 'b', 'c']).should.eql({
+        removals: [],
+        additions: [],
+        moves: []
+      })
+    })
+
+    it('should find removals and additions', function () {
+      var changes = diff(['a', 'b', 'c'], ['a', 'c', 'd'])
+      changes.removals.should.eql([{uri: 'b', position: 1}])
+      changes.additions.should.eql(['d'])
+      changes.moves.should.eql([])
+    })
+
+    it('should move a single track with a single move', function () {
+      var changes = diff(['a', 'b', 'c', 'd', 'e'], ['b', 'c', 'd', 'e', 'a'])
+      changes.moves.should.eql([{uri: 'a', from: 0, to: 5}])
+    })
+
+    it('should handle duplicates', function () {
+      var source = ['a', 'b', 'a', 'c', 'a']
+      var target = ['c', 'a', 'b', 'a']
+      apply(source, diff(source, target)).should.eql(target)
+    })
+  })
+
+  describe('Filter', function () {
+    it('should parse comparisons', function () {
+      var fn = filter('tempo > 120')
+      fn.prop.should.eql('tempo')
+      fn({tempo: 130}).should.eql(true)
+      fn({tempo: 120}).should.eql(false)
+      fn({}).should.eql(false)
+      filter('year >= 2010')({year: 2010}).should.eql(true)
+      filter('tempo != 120')({tempo: 120}).should.eql(false)
+    })
+
+    it('should parse ranges', function () {
+      var fn = filter('energy between 0.4 and 0.8')
+      fn.prop.should.eql('energy')
+      fn({energy: 0.4}).should.eql(true)
+      fn({energy: 0.9}).should.eql(false)
+    })
+
+    it('should compare booleans and strings', function () {
+      filter('explicit = false')({explicit: false}).should.eql(true)
+      filter('explicit = false')({explicit: true}).should.eql(false)
+      filter('artist = "beach house"')({artist: 'Beach House'}).should.eql(true)
+    })
+
+    it('should reject invalid conditions', function () {
+      chai.expect(filter('tempo')).to.eql(null)
+    })
+  })
+
+  describe('Cache', function () {
+    it('should key requests by URL and query', function () {
+      var cache = new Cache()
+      cache.key('http://example.com/?method=test', {
+        qs: {b: 'x y', a: 1}
+      }).should.eql('http://example.com/?method=test&a=1&b=x%20y')
+    })
+
+    it('should use per-endpoint time to live', function () {
+      var cache = new Cache()
+      cache.getTTL('https://api.spotify.com/v1/me').should.eql(0)
+      cache.getTTL('https://api.spotify.com/v1/users/x/playlists/y/tracks').should.eql(0)
+      cache.getTTL('https://api.spotify.com/v1/audio-features/x')
+        .should.be.above(cache.getTTL('https://api.spotify.com/v1/search?q=x'))
+    })
+
+    it('should not return expired entries', function () {
+      var cache = new Cache()
+      cache.set('key', 'value', 1000)
+      cache.get('key').should.eql('value')
+      cache.store.entries.key.expires = Date.now() - 1
+      chai.expect(cache.get('key')).to.eql(undefined)
+      cache.store.entries.should.not.have.property('key')
+    })
+
+    it('should not let callers modify cached values', function () {
+      var cache = new Cache()
+      var value = {items: [3, 1, 2]}
+      cache.set('key', value, 1000)
+      value.items.sort()
+      cache.get('key').items.sort()
+      cache.get('key').should.eql({items: [3, 1, 2]})
+    })
+
+    it('should only cache GET requests', function () {
+      var cache = new Cache()
+      var count = 0
+      function request () {
+        count++
+        return Promise.resolve({id: count})
+      }
+      return cache.request('http://example.com/tracks/x', {}, request).then(function () {
+        return cache.request('http://example.com/tracks/x', {}, request)
+      }).then(function (response) {
+        response.should.eql({id: 1})
+        return cache.request('http://example.com/tracks/x', {method: 'POST'}, request)
+      }).then(function (response) {
+        response.should.eql({id: 2})
+      })
+    })
+
+    it('should store entries in files', function () {
+      var dir = path.join(os.tmpdir(), 'spotgen-cache-' + process.pid)
+      var cache = new Cache(new Cache.FileStore(dir))
+      cache.set('key', {id: 'x'}, 1000)
+      var file = cache.store.file('key')
+      fs.existsSync(file).should.eql(true)
+      new Cache(new Cache.FileStore(dir)).get('key').should.eql({id: 'x'})
+      cache.store.remove('key')
+      fs.rmdirSync(dir)
+    })
+
+    it('should store entries in localStorage', function () {
+      var storage = {
+        items: {},
+        getItem: function (key) {
+          return this.items[key] || null
+        },
+        removeItem: function (key) {
+          delete this.items[key]
+        },
+        setItem: function (key, value) {
+          this.items[key] = value
+        }
+      }
+      var cache = new Cache(new Cache.LocalStorageStore(storage))
+      cache.set('key', {id: 'x'}, 1000)
+      storage.items.should.have.property('spotgen:key')
+      cache.get('key').should.eql({id: 'x'})
+    })
   })
 
   describe('Queue', function () {
@@ -126,6 +678,49 @@ describe('Spotify Playlist Generator', function () {
       })
     })
 
+    it('should prefer the most popular duplicate', function () {
+      var foo1 = new Track(null, 'foo')
+      foo1.title = 'foo'
+      foo1.popularity = 10
+      var bar = new Track(null, 'bar')
+      bar.title = 'bar'
+      bar.popularity = 20
+      var foo2 = new Track(null, 'foo')
+      foo2.title = 'foo'
+      foo2.popularity = 50
+      var queue = new Queue([foo1, bar, foo2])
+      return queue.dedup().then(function (queue) {
+        queue.toArray().should.eql([foo2, bar])
+      })
+    })
+
+    it('should sort versions by preference', function () {
+      var original = {album: {album_type: 'album', release_date: '1990-01-01'}, explicit: true, popularity: 10}
+      var compilation = {album: {album_type: 'compilation', release_date: '1990'}, popularity: 90}
+      var remaster = {album: {album_type: 'album', release_date: '2010-05-05'}, explicit: false, popularity: 50}
+      sort([compilation, remaster, original], sort.prefer('original')).should.eql([original, compilation, remaster])
+      sort([compilation, original, remaster], sort.prefer('latest')).should.eql([remaster, compilation, original])
+      sort([compilation, remaster, original], sort.prefer('explicit'))[0].should.eql(original)
+      sort([original, compilation, remaster], sort.prefer('clean'))[0].should.eql(compilation)
+    })
+
+    it('should prefer duplicates from proper albums', function () {
+      var foo1 = new Track(null, 'foo')
+      foo1.album_type = 'compilation'
+      foo1.popularity = 50
+      foo1.uri = 'spotify:track:foo1'
+      var foo2 = new Track(null, 'foo')
+      foo2.album_type = 'album'
+      foo2.popularity = 10
+      foo2.uri = 'spotify:track:foo2'
+      var queue = new Queue([foo1, foo2])
+      return queue.dedup(function (entry) {
+        return entry.entry
+      }).then(function (queue) {
+        queue.toArray().should.eql([foo2])
+      })
+    })
+
     it('should be sortable', function () {
       var foo = new Track(null, 'foo')
       var bar = new Track(null, 'bar')
@@ -150,6 +745,40 @@ describe('Spotify Playlist Generator', function () {
       queue.should.have.deep.property('queue[1].entry', 'foo')
     })
 
+    it('should shuffle reproducibly with a seed', function () {
+      var arr = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+      var queue1 = new Queue(arr.slice()).shuffle(util.random(42))
+      var queue2 = new Queue(arr.slice()).shuffle(util.random(42))
+      queue1.toArray().should.eql(queue2.toArray())
+      queue1.toArray().slice().sort(function (a, b) {
+        return a - b
+      }).should.eql(arr)
+    })
+
+    it('should shuffle within groups', function () {
+      var queue = new Queue(['a1', 'a2', 'a3', 'b1', 'b2', 'c1'])
+      queue.shuffleWithin(function (x) {
+        return x[0]
+      }, util.random(1))
+      queue.toArray().map(function (x) {
+        return x[0]
+      }).should.eql(['a', 'a', 'a', 'b', 'b', 'c'])
+    })
+
+    it('should spread out groups when shuffling', function () {
+      var queue = new Queue(['a1', 'a2', 'a3', 'b1', 'b2', 'b3'])
+      queue.spread(function (x) {
+        return x[0]
+      }, util.random(7))
+      var groups = queue.toArray().map(function (x) {
+        return x[0]
+      })
+      groups.should.have.length(6)
+      for (var i = 1; i < groups.length; i++) {
+        groups[i].should.not.eql(groups[i - 1])
+      }
+    })
+
     it('should concatenate queues and preserve order', function () {
       var foo = new Track(null, 'foo')
       var bar = new Track(null, 'bar')
@@ -165,6 +794,22 @@ describe('Spotify Playlist Generator', function () {
       queue3.should.have.deep.property('queue[2].entry', 'baz')
     })
 
+    it('should interleave groups by weight', function () {
+      var queue = new Queue(['a1', 'a2', 'a3', 'a4', 'b1', 'b2', 'c1'])
+      queue.alternate(function (x) {
+        return x[0]
+      }, [3, 1])
+      queue.toArray().should.eql(['a1', 'a2', 'a3', 'b1', 'c1', 'a4', 'b2'])
+    })
+
+    it('should distribute groups in proportion to their sizes', function () {
+      var queue = new Queue(['a1', 'a2', 'a3', 'a4', 'b1', 'b2'])
+      queue.groupBy(function (x) {
+        return x[0]
+      }).distribute()
+      queue.toArray().should.eql(['a1', 'b1', 'a2', 'a3', 'b2', 'a4'])
+    })
+
     it('should group on a property', function () {
       var foo = new Track(null, 'foo')
       var bar = new Track(null, 'bar')
@@ -183,6 +828,47 @@ describe('Spotify Playlist Generator', function () {
       queue.should.have.deep.property('queue[1].entry', 'baz')
       queue.should.have.deep.property('queue[2].entry', 'bar')
     })
+
+    it('should run a bounded number of promises and preserve order', function () {
+      var queue = new Queue([40, 10, 30, 20, 0, 50])
+      var running = 0
+      var max = 0
+      return queue.forEachPromiseLimit(function (ms) {
+        running++
+        max = Math.max(max, running)
+        return new Promise(function (resolve) {
+          setTimeout(function () {
+            running--
+            resolve(ms)
+          }, ms)
+        })
+      }, 3).then(function (result) {
+        result.toArray().should.eql([40, 10, 30, 20, 0, 50])
+        max.should.eql(3)
+      })
+    })
+
+    it('should skip rejected promises when running concurrently', function () {
+      var queue = new Queue([1, 2, 3, 4])
+      return queue.forEachPromiseLimit(function (n) {
+        return n % 2 ? Promise.resolve(n) : Promise.reject(n)
+      }, 2).then(function (result) {
+        result.toArray().should.eql([1, 3])
+        result.errors.should.eql([{entry: 2, error: 2}, {entry: 4, error: 4}])
+      })
+    })
+
+    it('should record rejected promises', function () {
+      var queue = new Queue([1, 2, 3])
+      return queue.forEachPromise(function (n) {
+        return n === 2 ? Promise.reject(new Error('two')) : Promise.resolve(n)
+      }).then(function (result) {
+        result.toArray().should.eql([1, 3])
+        result.errors.should.have.length(1)
+        result.errors[0].entry.should.eql(2)
+        result.errors[0].error.message.should.eql('two')
+      })
+    })
   })
 
   describe('Track', function () {
@@ -195,6 +881,18 @@ describe('Spotify Playlist Generator', function () {
       var track = new Track(null, 'test')
       track.entry.should.eql('test')
     })
+
+    it('should clear audio features when cloning another version', function () {
+      var track = new Track(null, 'test')
+      track.clone({uri: 'spotify:track:a', tempo: 120, energy: 0.8, unenergy: 0.2})
+      track.clone({uri: 'spotify:track:a', popularity: 50})
+      track.tempo.should.eql(120)
+      track.clone({uri: 'spotify:track:b', popularity: 60})
+      track.should.not.have.property('tempo')
+      track.should.not.have.property('energy')
+      track.should.not.have.property('unenergy')
+      track.popularity.should.eql(60)
+    })
   })
 
   describe('Album', function () {
@@ -308,6 +1006,16 @@ describe('Spotify Playlist Generator', function () {
       generator.should.have.deep.property('collection.ordering', 'lastfm')
     })
 
+    it('should order tracks by several keys', function () {
+      var generator = new Generator('#order by artist asc, popularity DESC, tempo\ntest1')
+      generator.should.have.deep.property('collection.ordering', 'artist')
+      generator.collection.orderings.should.eql([
+        {prop: 'artist', direction: 'asc'},
+        {prop: 'popularity', direction: 'desc'},
+        {prop: 'tempo', direction: null}
+      ])
+    })
+
     it('should create a playlist ordered by Spotify popularity', function () {
       var generator = new Generator('#order by popularity\n' +
                                     'Bowery Electric - Postscript\n' +
@@ -353,6 +1061,31 @@ describe('Spotify Playlist Generator', function () {
       })
     })
 
+    it('should parse CSV files with a header row', function () {
+      var generator = new Generator(
+        '"Spotify URI","Track Name","Artist Name","Album Name","Disc Number"\n' +
+          '"spotify:track:3jZ0GKAZiDMya0dZPrw8zq","Desire Lines","Deerhunter","Halcyon Digest","1"\n' +
+          '"","Agoraphobia","Deerhunter, Guest","Microcastle","1"\n' +
+          '\n' +
+          'Track Name,Artist Name(s),Album Name\n' +
+          'Revival,Deerhunter,Halcyon Digest')
+      var entries = generator.collection.entries
+      entries.size().should.eql(3)
+      entries.get(0).should.have.property('id', '3jZ0GKAZiDMya0dZPrw8zq')
+      entries.get(1).should.have.property('name', 'Agoraphobia')
+      entries.get(1).should.have.property('artist', 'Deerhunter')
+      entries.get(1).should.have.property('album', 'Microcastle')
+      entries.get(1).should.have.property('line', 3)
+      entries.get(2).should.have.property('name', 'Revival')
+      entries.get(2).should.have.property('artist', 'Deerhunter')
+    })
+
+    it('should parse #csv columns', function () {
+      var generator = new Generator('#csv columns=uri,name, tempo\ntest1')
+      generator.collection.format.should.eql('csv')
+      generator.collection.csvColumns.should.eql(['uri', 'name', 'tempo'])
+    })
+
     it('should parse extended M3U playlists', function () {
       var generator = new Generator(
         '#EXTM3U\n' +
@@ -539,4 +1272,1084 @@ describe('Spotify Playlist Generator', function () {
       })
     })
   })
+
+  describe('Spotify stand-in', function () {
+    before(function () {
+      return standIn.start()
+    })
+
+    after(function () {
+      standIn.stop()
+    })
+
+    it('should create a playlist', function () {
+      standIn.reset()
+      var spotify = new SpotifyWebApi(null, null, 'token')
+      spotify.api = standIn.api
+      return spotify.createPlaylist('testuser', 'Test').then(function (response) {
+        response.body.name.should.eql('Test')
+        standIn.requests.should.have.deep.property('[0].method', 'POST')
+        standIn.requests.should.have.deep.property('[0].path', '/v1/users/testuser/playlists')
+      })
+    })
+
+    it('should derive the PKCE code challenge from the verifier', function () {
+      // SHA-256 of "abc", URL-safe Base64 without padding
+      SpotifyAuth.codeChallenge('abc')
+        .should.eql('ungWv48Bz-pBQUDeXa4iI7ADYaOWF3qctBD_YfIAFa0')
+      SpotifyAuth.codeVerifier().should.match(/^[A-Za-z0-9_-]{43,128}$/)
+    })
+
+    describe('with a settings file', function () {
+      var file = config.file
+
+      before(function () {
+        config.file = path.join(os.tmpdir(), 'spotgen-test-' + process.pid, 'config.json')
+      })
+
+      after(function () {
+        fs.unlinkSync(config.file)
+        fs.rmdirSync(path.dirname(config.file))
+        config.file = file
+      })
+
+      it('should store the refresh token of the authorization code grant', function () {
+        var auth = new SpotifyAuth()
+        auth.accounts = standIn.accounts
+        var uri = auth.authorizationCodeFlowURI('http://localhost:9000/', 'challenge')
+        uri.should.match(/response_type=code/)
+        uri.should.match(/code_challenge_method=S256&code_challenge=challenge/)
+        return auth.authorizationCodeGrant('code', 'http://localhost:9000/', 'verifier').then(function (token) {
+          token.should.eql('authorized')
+          config.load().should.have.property('refreshToken', 'initial')
+        })
+      })
+
+      it('should refresh the token with the stored refresh token', function () {
+        var auth = new SpotifyAuth()
+        auth.accounts = standIn.accounts
+        return auth.refreshToken().then(function (token) {
+          token.should.eql('refreshed')
+          config.load().should.have.property('refreshToken', 'rotated')
+        })
+      })
+
+      it('should fall back to client credentials if the refresh token is revoked', function () {
+        config.save({refreshToken: 'revoked'})
+        var auth = new SpotifyAuth()
+        auth.accounts = standIn.accounts
+        return auth.refreshToken().then(function (token) {
+          token.should.eql('anonymous')
+          auth.refresh.should.eql('')
+          config.load().should.have.property('refreshToken', '')
+          auth.loadRefreshToken().should.eql('')
+        })
+      })
+
+      it('should refresh the token when it has expired', function () {
+        standIn.reset()
+        var spotify = new SpotifyWebApi(null, null, 'expired')
+        spotify.api = standIn.api
+        spotify.auth.accounts = standIn.accounts
+        return spotify.getTrack('abc').then(function (response) {
+          response.body.name.should.eql('Track abc')
+          spotify.auth.token.should.not.eql('expired')
+          standIn.requests.map(function (req) {
+            return req.path
+          }).should.include('/api/token')
+        })
+      })
+    })
+
+    it('should retry server errors with backoff', function () {
+      standIn.reset()
+      return http.get(standIn.accounts + '/status/500,503').then(function (response) {
+        response.should.eql({status: 200})
+        standIn.requests.should.have.length(3)
+      })
+    })
+
+    it('should only retry other methods than GET when rate limited', function () {
+      standIn.reset()
+      return http.get(standIn.accounts + '/status/503', {method: 'POST'}).then(function () {
+        throw new Error('expected the request to fail')
+      }, function (err) {
+        http.status(err).should.eql(503)
+        standIn.requests.should.have.length(1)
+        standIn.reset()
+        return http.get(standIn.accounts + '/status/429', {method: 'POST'})
+      }).then(function (response) {
+        response.should.eql({status: 200})
+        standIn.requests.should.have.length(2)
+      })
+    })
+
+    it('should not retry client errors', function () {
+      standIn.reset()
+      return http.get(standIn.accounts + '/status/404').then(function () {
+        throw new Error('expected the request to fail')
+      }, function (err) {
+        http.status(err).should.eql(404)
+        standIn.requests.should.have.length(1)
+      })
+    })
+
+    it('should wait for Retry-After when rate limited', function () {
+      standIn.reset()
+      var start = Date.now()
+      return http.get(standIn.accounts + '/status/429').then(function (response) {
+        response.should.eql({status: 200})
+        standIn.requests.should.have.length(2)
+        ;(Date.now() - start).should.be.at.least(1000)
+      })
+    })
+
+    it('should not refresh the token on other errors', function () {
+      standIn.reset()
+      var spotify = new SpotifyWebApi(null, null, 'token')
+      spotify.api = standIn.accounts + '/status/404'
+      return spotify.getMe().then(function () {
+        throw new Error('expected the request to fail')
+      }, function (err) {
+        http.status(err).should.eql(404)
+        standIn.requests.should.have.length(1)
+      })
+    })
+
+    it('should spread requests within the budget of a host', function () {
+      var uri = 'http://budget.example.com/'
+      http.budgets['budget.example.com'] = {requests: 2, period: 1000}
+      http.schedule(uri, 0).should.eql(0)
+      http.schedule(uri, 0).should.eql(0)
+      http.schedule(uri, 0).should.be.within(990, 1000)
+      delete http.budgets['budget.example.com']
+    })
+
+    it('should read Retry-After as seconds or as a date', function () {
+      http.retryAfter({headers: {'retry-after': '3'}}).should.eql(3000)
+      http.retryAfter({headers: {}}).should.eql(-1)
+      var date = new Date(Date.now() + 60000).toUTCString()
+      http.retryAfter({headers: {'retry-after': date}}).should.be.within(58000, 60000)
+    })
+
+    it('should parse #sync entries', function () {
+      var generator = new Generator('#sync spotify:user:testuser:playlist:abc123\n#dry-run\ntest')
+      generator.should.have.deep.property('collection.syncPlaylist.owner.id', 'testuser')
+      generator.should.have.deep.property('collection.syncPlaylist.id', 'abc123')
+      generator.should.have.deep.property('collection.dryRun', true)
+      generator = new Generator('#sync https://open.spotify.com/user/testuser/playlist/abc123')
+      generator.should.have.deep.property('collection.syncPlaylist.id', 'abc123')
+    })
+
+    it('should sync an existing playlist', function () {
+      standIn.reset()
+      standIn.playlists.existing = [
+        'spotify:track:0000000000000000000001',
+        'spotify:track:0000000000000000000002',
+        'spotify:track:0000000000000000000003',
+        'spotify:track:0000000000000000000004'
+      ]
+      var target = [
+        'spotify:track:0000000000000000000004',
+        'spotify:track:0000000000000000000001',
+        'spotify:track:0000000000000000000003',
+        'spotify:track:0000000000000000000005'
+      ]
+      var generator = standIn.generator('#sync spotify:user:testuser:playlist:existing\n' +
+                                        target.join('\n'))
+      return generator.generate().then(function () {
+        standIn.playlists.existing.should.eql(target)
+        generator.collection.changes.removals.should.have.length(1)
+        generator.collection.changes.additions.should.have.length(1)
+        generator.collection.changes.moves.should.have.length(1)
+      })
+    })
+
+    it('should sync a playlist with unavailable tracks', function () {
+      standIn.reset()
+      standIn.playlists.existing = [
+        null,
+        'spotify:track:0000000000000000000001',
+        'spotify:track:0000000000000000000002',
+        null,
+        'spotify:track:0000000000000000000003',
+        'spotify:track:0000000000000000000004'
+      ]
+      var generator = standIn.generator('#sync spotify:user:testuser:playlist:existing\n' +
+                                        'spotify:track:0000000000000000000004\n' +
+                                        'spotify:track:0000000000000000000001\n' +
+                                        'spotify:track:0000000000000000000003')
+      return generator.generate().then(function () {
+        standIn.playlists.existing.should.eql([
+          null,
+          'spotify:track:0000000000000000000004',
+          'spotify:track:0000000000000000000001',
+          null,
+          'spotify:track:0000000000000000000003'
+        ])
+        generator.collection.changes.removals.should.eql([{
+          uri: 'spotify:track:0000000000000000000002',
+          position: 2
+        }])
+      })
+    })
+
+    it('should sync a playlist with relinked tracks', function () {
+      standIn.reset()
+      standIn.tracks.old = {relinked: 'new'}
+      standIn.playlists.existing = [
+        'spotify:track:a',
+        'spotify:track:old'
+      ]
+      var generator = standIn.generator('#market NO\n' +
+                                        '#sync spotify:user:testuser:playlist:existing\n' +
+                                        'spotify:track:old\n' +
+                                        'spotify:track:a')
+      return generator.generate().then(function () {
+        standIn.playlists.existing.should.eql([
+          'spotify:track:old',
+          'spotify:track:a'
+        ])
+        generator.collection.changes.removals.should.eql([])
+        generator.collection.changes.additions.should.eql([])
+        generator.collection.changes.moves.should.have.length(1)
+      })
+    })
+
+    it('should sync a playlist with unavailable and relinked tracks', function () {
+      standIn.reset()
+      standIn.tracks.old = {relinked: 'new'}
+      standIn.playlists.existing = [
+        null,
+        'spotify:track:a',
+        'spotify:track:old',
+        null,
+        'spotify:track:c'
+      ]
+      var generator = standIn.generator('#market NO\n' +
+                                        '#sync spotify:user:testuser:playlist:existing\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:a')
+      return generator.generate().then(function () {
+        standIn.playlists.existing.should.eql([
+          null,
+          'spotify:track:c',
+          'spotify:track:a',
+          null
+        ])
+        generator.collection.changes.removals.should.eql([{
+          uri: 'spotify:track:old',
+          position: 2
+        }])
+      })
+    })
+
+    it('should not change the playlist in a dry run', function () {
+      standIn.reset()
+      standIn.playlists.existing = [
+        'spotify:track:0000000000000000000001',
+        'spotify:track:0000000000000000000002'
+      ]
+      var generator = standIn.generator('#sync spotify:user:testuser:playlist:existing\n' +
+                                        '#dry-run\n' +
+                                        'spotify:track:0000000000000000000003')
+      return generator.generate().then(function () {
+        standIn.playlists.existing.should.have.length(2)
+        standIn.requests.filter(function (req) {
+          return req.method !== 'GET'
+        }).should.eql([])
+        generator.collection.changes.removals.should.have.length(2)
+      })
+    })
+
+    it('should serve repeated requests from the cache', function () {
+      standIn.reset()
+      var spotify = new SpotifyWebApi(null, null, 'token')
+      spotify.api = standIn.api
+      spotify.cache = new Cache()
+      return spotify.getTrack('abc').then(function () {
+        return spotify.getTrack('abc')
+      }).then(function (response) {
+        response.body.name.should.eql('Track abc')
+        standIn.requests.should.have.length(1)
+      })
+    })
+
+    it('should report unresolved entries', function () {
+      standIn.reset()
+      var generator = standIn.generator('spotify:track:abc\n' +
+                                        '\n' +
+                                        'No Such Track\n' +
+                                        'spotify:album:missing')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:abc')
+        generator.report.unresolved.should.eql([{
+          line: 3,
+          kind: 'track',
+          entry: 'No Such Track',
+          reason: 'not found'
+        }, {
+          line: 4,
+          kind: 'album',
+          entry: 'spotify:album:missing',
+          reason: 'HTTP 404: non existing id'
+        }])
+        generator.report.toString().should.eql(
+          'line 3, track "No Such Track": not found\n' +
+          'line 4, album "spotify:album:missing": HTTP 404: non existing id')
+      })
+    })
+
+    it('should report unresolved entries of scraped web pages', function () {
+      standIn.reset()
+      var generator = standIn.generator('spotify:track:abc\n' +
+                                        'http://www.example.com/chart')
+      var scraper = generator.collection.entries.get(1)
+      scraper.scrape = function () {
+        return Promise.resolve('spotify:track:def\nNo Such Track')
+      }
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:abc\nspotify:track:def')
+        generator.report.toString().should.eql(
+          'line 2, track "No Such Track": not found')
+      })
+    })
+
+    it('should describe why an entry could not be resolved', function () {
+      Report.reason(null).should.eql('not found')
+      Report.reason({body: {tracks: {items: []}}}).should.eql('not found')
+      Report.reason({status: 503, message: '503: http_error'}).should.eql('HTTP 503')
+      Report.reason(new Error('no tracks')).should.eql('no tracks')
+    })
+
+    it('should emit events for entries, requests and progress', function () {
+      standIn.reset()
+      var generator = standIn.generator('spotify:track:abc\nNo Such Track')
+      var events = []
+      ;['entry:start', 'entry:resolved', 'entry:failed', 'progress'].forEach(function (name) {
+        generator.on(name, function (data) {
+          events.push(name + ' ' + (data.line || data.done + '/' + data.total))
+        })
+      })
+      var requests = []
+      generator.on('request', function (request) {
+        requests.push(request.method + ' ' + request.uri)
+      })
+      return generator.generate().then(function () {
+        events.should.eql([
+          'entry:start 1',
+          'entry:resolved 1',
+          'progress 1/2',
+          'entry:start 2',
+          'entry:failed 2',
+          'progress 2/2'
+        ])
+        requests.should.eql([
+          'GET ' + standIn.api + '/search?type=track&limit=50&q=No%20Such%20Track'
+        ])
+      })
+    })
+
+    it('should accept an options object or positional arguments', function () {
+      var cache = new Cache()
+      var generator = new Generator('test', {
+        clientId: 'id',
+        token: 'abc',
+        market: 'NO',
+        concurrency: 3,
+        cache: cache,
+        logger: null,
+        format: 'csv'
+      })
+      generator.should.have.deep.property('spotify.auth.clientId', 'id')
+      generator.should.have.deep.property('spotify.auth.token', 'abc')
+      generator.should.have.deep.property('spotify.market', 'NO')
+      generator.should.have.deep.property('spotify.concurrency', 3)
+      generator.should.have.deep.property('spotify.logger', null)
+      generator.spotify.cache.should.equal(cache)
+      generator.format.should.eql('csv')
+      generator = new Generator('test', 'id', 'key', 'abc')
+      generator.should.have.deep.property('spotify.auth.clientKey', 'key')
+      generator.should.have.deep.property('spotify.auth.token', 'abc')
+    })
+
+    it('should look up tracks in a market and relink unplayable tracks', function () {
+      standIn.reset()
+      var generator = standIn.generator('#market no\n' +
+                                        'spotify:track:abc\n' +
+                                        'spotify:track:unplayable\n' +
+                                        'spotify:track:gone')
+      var requests = []
+      generator.on('request', function (request) {
+        requests.push(request.uri)
+      })
+      generator.should.have.deep.property('spotify.market', 'NO')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:abc\nspotify:track:alt')
+        requests.should.include(standIn.api + '/tracks/abc?market=NO')
+        generator.collection.entries.get(1).should.have.deep.property('linked_from.uri', 'spotify:track:unplayable')
+        generator.report.toString().should.eql('line 4, track "spotify:track:gone": not playable in market NO')
+      })
+    })
+
+    it('should filter tracks with #where', function () {
+      standIn.reset()
+      standIn.tracks.b = {explicit: true}
+      standIn.tracks.c = {album: {name: 'Album', release_date: '2015-05-05'}}
+      standIn.tracks.d = {album: {name: 'Album', release_date: '2012'}}
+      standIn.features.d = {tempo: 90}
+      var generator = standIn.generator('#where explicit = false\n' +
+                                        '#where year >= 2010\n' +
+                                        '#where tempo > 95\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:d')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:c')
+      })
+    })
+
+    it('should report #where conditions that cannot be parsed', function () {
+      var generator = new Generator('#where tempo\ntest1')
+      generator.collection.filters.should.eql([])
+      generator.report.isEmpty().should.eql(true)
+      generator.report.warningsToString().should.eql(
+        'line 1, "#where tempo": could not parse #where condition')
+    })
+
+    it('should limit tracks with #limit, #duration and #max per', function () {
+      standIn.reset()
+      standIn.tracks.b = {album: {name: 'B'}, artists: [{name: 'Other'}]}
+      standIn.tracks.c = {album: {name: 'C'}, duration_ms: 50000}
+      standIn.tracks.d = {artists: [{name: 'Other'}]}
+      standIn.tracks.e = {album: {name: 'E'}}
+      standIn.tracks.f = {album: {name: 'F'}, artists: [{name: 'F'}], duration_ms: 300000}
+      standIn.tracks.g = {album: {name: 'G'}, artists: [{name: 'G'}], duration_ms: 10000}
+      standIn.tracks.h = {album: {name: 'H'}, artists: [{name: 'H'}], duration_ms: 10000}
+      var generator = standIn.generator('#max per artist 2\n' +
+                                        '#max per album 1\n' +
+                                        '#duration 8 min\n' +
+                                        '#limit 4\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:d\n' +
+                                        'spotify:track:e\n' +
+                                        'spotify:track:f\n' +
+                                        'spotify:track:g\n' +
+                                        'spotify:track:h')
+      generator.collection.maxDuration.should.eql(480000)
+      return generator.generate().then(function (result) {
+        // d has the same album as a, e has the same artist
+        // as a and c, f would exceed the duration and
+        // h would exceed the number of tracks
+        result.should.eql('spotify:track:a\n' +
+                          'spotify:track:b\n' +
+                          'spotify:track:c\n' +
+                          'spotify:track:g')
+      })
+    })
+
+    it('should order tracks by several keys', function () {
+      standIn.reset()
+      standIn.tracks.a = {artists: [{name: 'B'}], popularity: 10}
+      standIn.tracks.b = {artists: [{name: 'A'}], popularity: 10}
+      standIn.tracks.c = {artists: [{name: 'B'}], popularity: 90}
+      standIn.tracks.d = {artists: [{name: 'A'}], popularity: 50}
+      standIn.features.b = {tempo: 120}
+      standIn.features.d = {tempo: 80}
+      var generator = standIn.generator('#order by artist desc, tempo asc, popularity\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:d')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:c\n' +
+                          'spotify:track:a\n' +
+                          'spotify:track:d\n' +
+                          'spotify:track:b')
+      })
+    })
+
+    it('should order tracks by #order by harmonic', function () {
+      standIn.reset()
+      standIn.tracks.a = {popularity: 10}
+      standIn.tracks.b = {popularity: 90}
+      standIn.features.a = {key: 7, mode: 1, tempo: 121}
+      standIn.features.b = {key: 0, mode: 1, tempo: 120}
+      standIn.features.c = {key: 4, mode: 0, tempo: 118}
+      standIn.features.d = {key: 9, mode: 0, tempo: 119}
+      var generator = standIn.generator('#order by harmonic, popularity\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:d')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:b\n' +
+                          'spotify:track:a\n' +
+                          'spotify:track:c\n' +
+                          'spotify:track:d')
+      })
+    })
+
+    it('should order tracks by #order by flow', function () {
+      standIn.reset()
+      standIn.features.a = {energy: 0.4, valence: 0.4}
+      standIn.features.b = {energy: 0.9, valence: 0.9}
+      standIn.features.c = {energy: 0.1, valence: 0.1}
+      standIn.features.d = {energy: 0.3, valence: 0.3}
+      var generator = standIn.generator('#order by flow seed=7\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:d')
+      generator.collection.seed.should.eql(7)
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:a\n' +
+                          'spotify:track:d\n' +
+                          'spotify:track:c\n' +
+                          'spotify:track:b')
+      })
+    })
+
+    it('should parse #shuffle entries', function () {
+      var generator = new Generator('#shuffle spread artist seed=42\ntest1')
+      generator.collection.shuffle.should.eql(true)
+      generator.collection.seed.should.eql(42)
+      generator.collection.shuffleSpread.should.eql('artist')
+      generator = new Generator('#shuffle within album\ntest1')
+      generator.collection.shuffleWithin.should.eql('album')
+      chai.expect(generator.collection.seed).to.eql(null)
+    })
+
+    it('should shuffle reproducibly with #shuffle seed', function () {
+      standIn.reset()
+      var str = '#shuffle seed=42\n' +
+          'spotify:track:a\n' +
+          'spotify:track:b\n' +
+          'spotify:track:c\n' +
+          'spotify:track:d\n' +
+          'spotify:track:e\n' +
+          'spotify:track:f'
+      return standIn.generator(str).generate().then(function (result1) {
+        return standIn.generator(str).generate().then(function (result2) {
+          result2.should.eql(result1)
+          result1.split('\n').sort().should.eql(str.split('\n').slice(1))
+        })
+      })
+    })
+
+    it('should parse #alternate entries', function () {
+      var generator = new Generator('#alternate by artist weights=3:1\ntest1 weight=2')
+      generator.collection.alternating.should.eql('artist')
+      generator.collection.alternateWeights.should.eql([3, 1])
+      generator.collection.alternateProportional.should.eql(false)
+      generator.should.have.deep.property('collection.entries.queue[0].entry', 'test1')
+      generator.should.have.deep.property('collection.entries.queue[0].weight', 2)
+      generator = new Generator('#alternate by album proportional\ntest1')
+      generator.collection.alternating.should.eql('album')
+      generator.collection.alternateProportional.should.eql(true)
+    })
+
+    it('should alternate tracks by the weights of their sources', function () {
+      standIn.reset()
+      standIn.tracks.d = {artists: [{name: 'Other'}]}
+      standIn.tracks.e = {artists: [{name: 'Other'}]}
+      var generator = standIn.generator('#alternate by artist\n' +
+                                        'spotify:track:a weight=2\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:d\n' +
+                                        'spotify:track:e')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:a\n' +
+                          'spotify:track:b\n' +
+                          'spotify:track:d\n' +
+                          'spotify:track:c\n' +
+                          'spotify:track:e')
+      })
+    })
+
+    it('should parse #unique entries', function () {
+      var generator = new Generator('#unique by isrc\ntest1')
+      generator.collection.uniqueBy.should.eql('isrc')
+      generator = new Generator('#unique by title ignore remastered, radio edit\ntest1')
+      generator.collection.uniqueBy.should.eql('title')
+      generator.collection.uniqueIgnore.should.eql(['remastered', 'radio edit'])
+      generator = new Generator('#unique ignore live\ntest1')
+      generator.collection.uniqueBy.should.eql('title+artist')
+    })
+
+    it('should remove duplicates by title and artist', function () {
+      standIn.reset()
+      standIn.tracks.a = {name: 'Song'}
+      standIn.tracks.b = {album: {album_type: 'compilation', name: 'Hits'}, name: 'Song - Remastered 2011', popularity: 80}
+      standIn.tracks.c = {album: {album_type: 'album', name: 'Live'}, name: 'Song (Live)', popularity: 60}
+      standIn.tracks.d = {artists: [{name: 'Other'}], name: 'Song'}
+      var generator = standIn.generator('#unique by title+artist ignore remastered, live\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:d')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:c\n' +
+                          'spotify:track:d')
+      })
+    })
+
+    it('should remove duplicates by ISRC', function () {
+      standIn.reset()
+      standIn.tracks.a = {external_ids: {isrc: 'USX1'}, popularity: 10}
+      standIn.tracks.b = {external_ids: {isrc: 'USX2'}}
+      standIn.tracks.c = {external_ids: {isrc: 'USX1'}, popularity: 90}
+      var generator = standIn.generator('#unique by isrc\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:c\n' +
+                          'spotify:track:b')
+      })
+    })
+
+    it('should prefer versions of a recording with #prefer', function () {
+      standIn.reset()
+      standIn.tracks.a = {album: {album_type: 'compilation', name: 'Hits', release_date: '2010'}, external_ids: {isrc: 'USX1'}}
+      standIn.tracks.b = {album: {album_type: 'album', name: 'Album', release_date: '1990'}, external_ids: {isrc: 'USX1'}}
+      standIn.tracks.c = {album: {album_type: 'single', name: 'Single', release_date: '2015'}, external_ids: {isrc: 'USX1'}}
+      var generator = standIn.generator('#prefer original\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:d')
+      generator.collection.preference.should.eql('original')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:b\n' +
+                          'spotify:track:d')
+        generator.collection.entries.get(0).should.have.deep.property('linked_from.uri', 'spotify:track:a')
+        generator = standIn.generator('#prefer latest\n' +
+                                      'spotify:track:a\n' +
+                                      'spotify:track:b')
+        return generator.generate()
+      }).then(function (result) {
+        result.should.eql('spotify:track:c')
+      })
+    })
+
+    it('should prefer clean versions with another ISRC with #prefer clean', function () {
+      standIn.reset()
+      standIn.tracks.rude = {explicit: true, external_ids: {isrc: 'USX1'}}
+      standIn.tracks.tame = {external_ids: {isrc: 'USX2'}}
+      var generator = standIn.generator('#prefer clean\n' +
+                                        'spotify:track:rude\n' +
+                                        'spotify:track:a')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:tame\n' +
+                          'spotify:track:a')
+        generator.collection.entries.get(0).should.have.deep.property('linked_from.uri', 'spotify:track:rude')
+      })
+    })
+
+    it('should relink tracks to versions with the same ISRC', function () {
+      standIn.reset()
+      standIn.tracks.gone = {external_ids: {isrc: 'USX1'}}
+      standIn.tracks.abc = {external_ids: {isrc: 'USX1'}}
+      var generator = standIn.generator('#market NO\nspotify:track:gone')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:abc')
+        generator.report.isEmpty().should.eql(true)
+      })
+    })
+
+    it('should swap tracks for clean versions with #clean', function () {
+      standIn.reset()
+      standIn.tracks.rude = {explicit: true}
+      standIn.tracks.vile = {explicit: true}
+      var generator = standIn.generator('#clean\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:rude\n' +
+                                        'spotify:track:vile')
+      generator.spotify.censorship.should.eql('clean')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:a\n' +
+                          'spotify:track:tame')
+        generator.report.swapsToString().should.eql(
+          'line 3, "spotify:track:rude": spotify:track:rude -> spotify:track:tame (clean version)\n' +
+            'line 4, "spotify:track:vile": spotify:track:vile dropped (no clean version)')
+      })
+    })
+
+    it('should report tracks that cannot be looked up with #clean', function () {
+      standIn.reset()
+      var generator = standIn.generator('#clean\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:lost')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:a')
+        generator.report.toString().should.eql(
+          'line 3, track "spotify:track:lost": HTTP 404: non existing id')
+        generator.report.swaps.should.eql([])
+      })
+    })
+
+    it('should keep tracks without explicit versions with #explicit', function () {
+      standIn.reset()
+      var generator = standIn.generator('#explicit\n' +
+                                        'spotify:track:a')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:a')
+        generator.report.swaps.should.eql([])
+      })
+    })
+
+    it('should parse #format entries', function () {
+      var generator = new Generator('#format XSPF\ntest1')
+      generator.collection.format.should.eql('xspf')
+      generator = new Generator('#format m3u8\ntest1')
+      generator.collection.format.should.eql('m3u8')
+    })
+
+    it('should output M3U playlists with track metadata', function () {
+      standIn.reset()
+      standIn.tracks.b = {
+        album: {name: 'Rock & Roll'},
+        artists: [{name: 'Band'}, {name: 'Guest'}],
+        duration_ms: 245600
+      }
+      var generator = standIn.generator('#format m3u\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b')
+      return generator.generate().then(function (result) {
+        result.should.eql('#EXTM3U\n' +
+                          '#EXTINF:200,Artist - Track a\n' +
+                          '#EXTALB:Album\n' +
+                          'spotify:track:a\n' +
+                          '#EXTINF:246,Band - Track b\n' +
+                          '#EXTALB:Rock & Roll\n' +
+                          'spotify:track:b')
+        var parsed = new Generator(result)
+        parsed.collection.entries.size().should.eql(2)
+        parsed.should.have.deep.property('collection.entries.queue[1].id', 'b')
+        parsed.should.have.deep.property('collection.entries.queue[1].line', 5)
+      })
+    })
+
+    it('should output XSPF playlists with track metadata', function () {
+      standIn.reset()
+      standIn.tracks.b = {
+        album: {name: 'Rock & Roll'},
+        artists: [{name: 'Band'}, {name: 'Guest'}],
+        duration_ms: 245600,
+        name: '<Song>'
+      }
+      var generator = standIn.generator('spotify:track:b')
+      return generator.generate('xspf').then(function (result) {
+        result.should.eql('<?xml version="1.0" encoding="UTF-8"?>\n' +
+                          '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+                          '  <trackList>\n' +
+                          '    <track>\n' +
+                          '      <location>spotify:track:b</location>\n' +
+                          '      <identifier>spotify:track:b</identifier>\n' +
+                          '      <title>&lt;Song&gt;</title>\n' +
+                          '      <creator>Band, Guest</creator>\n' +
+                          '      <album>Rock &amp; Roll</album>\n' +
+                          '      <duration>245600</duration>\n' +
+                          '    </track>\n' +
+                          '  </trackList>\n' +
+                          '</playlist>')
+      })
+    })
+
+    it('should output the CSV columns given by #csv columns', function () {
+      standIn.reset()
+      standIn.features.b = {tempo: 120.5}
+      standIn.tracks.b = {name: 'Song, Part 2'}
+      var generator = standIn.generator('#csv columns=uri,name,artist,tempo,energy\n' +
+                                        'spotify:track:b')
+      return generator.generate().then(function (result) {
+        result.should.eql('sep=,\n' +
+                          'uri,name,artist,tempo,energy\n' +
+                          'spotify:track:b,"Song, Part 2",Artist,120.5,0.5')
+        var parsed = new Generator(result)
+        parsed.collection.entries.size().should.eql(1)
+        parsed.should.have.deep.property('collection.entries.queue[0].id', 'b')
+      })
+    })
+
+    it('should output JSON with the full track data', function () {
+      standIn.reset()
+      standIn.tracks.b = {
+        external_ids: {isrc: 'USABC0000001'},
+        track_number: 3
+      }
+      var generator = standIn.generator('#order by tempo\n' +
+                                        'spotify:track:b weight=2')
+      return generator.generate('json').then(function (result) {
+        JSON.parse(result).should.eql([{
+          schema: 1,
+          uri: 'spotify:track:b',
+          id: 'b',
+          isrc: 'USABC0000001',
+          name: 'Track b',
+          artist: 'Artist',
+          artists: ['Artist'],
+          album: 'Album',
+          album_type: null,
+          year: 2000,
+          disc_number: null,
+          track_number: 3,
+          duration_ms: 200000,
+          popularity: 50,
+          explicit: false,
+          is_playable: null,
+          linked_from: null,
+          features: {
+            energy: 0.5,
+            key: 0,
+            mode: 1,
+            tempo: 100,
+            valence: 0.5
+          },
+          lastfm: null,
+          entry: 'spotify:track:b',
+          line: 2,
+          weight: 2
+        }])
+      })
+    })
+
+    it('should output JSON Lines with one track per line', function () {
+      standIn.reset()
+      var generator = standIn.generator('#format jsonl\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b')
+      return generator.generate().then(function (result) {
+        var lines = result.split('\n').map(JSON.parse)
+        lines.length.should.eql(2)
+        lines[0].should.have.property('schema', 1)
+        lines[0].should.have.property('uri', 'spotify:track:a')
+        lines[0].should.have.property('features', null)
+        lines[1].should.have.property('name', 'Track b')
+        lines[1].should.have.property('line', 3)
+      })
+    })
+
+    it('should pin searched tracks with #format lock', function () {
+      standIn.reset()
+      var generator = standIn.generator('#format lock\n' +
+                                        'Artist - Track rude weight=2\n' +
+                                        'No Such Track\n' +
+                                        'spotify:track:a')
+      return generator.generate().then(function (result) {
+        result.should.eql('#format lock\n' +
+                          'Artist - Track rude weight=2  # spotify:track:rude\n' +
+                          'No Such Track\n' +
+                          'spotify:track:a')
+      })
+    })
+
+    it('should look up pinned entries by URI', function () {
+      standIn.reset()
+      var generator = standIn.generator('Artist - Track rude weight=2  # spotify:track:tame')
+      var requests = []
+      generator.on('request', function (request) {
+        requests.push(request.uri)
+      })
+      generator.should.have.deep.property('collection.entries.queue[0].id', 'tame')
+      generator.should.have.deep.property('collection.entries.queue[0].entry', 'Artist - Track rude')
+      generator.should.have.deep.property('collection.entries.queue[0].weight', 2)
+      return generator.generate('lock').then(function (result) {
+        result.should.eql('Artist - Track rude weight=2  # spotify:track:tame')
+        requests.should.eql([])
+      })
+    })
+
+    it('should pin searched albums with #format lock', function () {
+      standIn.reset()
+      standIn.albums.abc = {name: 'Album', tracks: ['a', 'b']}
+      var generator = standIn.generator('#format lock\n' +
+                                        '#album Artist - Album')
+      return generator.generate().then(function (result) {
+        result.should.eql('#format lock\n' +
+                          '#album Artist - Album  # spotify:album:abc')
+        generator = standIn.generator(result)
+        generator.should.have.deep.property('collection.entries.queue[0].id', 'abc')
+        standIn.reset()
+        standIn.albums.abc = {name: 'Album', tracks: ['a', 'b']}
+        return generator.generate('list')
+      }).then(function (result) {
+        result.should.eql('Artist - Track a\n' +
+                          'Artist - Track b')
+        standIn.requests.map(function (req) {
+          return req.path
+        }).should.eql(['/v1/albums/abc'])
+      })
+    })
+
+    it('should parse pinned #artist and #playlist entries', function () {
+      var generator = new Generator('#artist Deerhunter  # spotify:artist:xyz\n' +
+                                    '#playlist Weekly  # spotify:user:someone:playlist:abc')
+      generator.should.have.deep.property('collection.entries.queue[0].id', 'xyz')
+      generator.should.have.deep.property('collection.entries.queue[1].id', 'abc')
+      generator.should.have.deep.property('collection.entries.queue[1].owner.id', 'someone')
+      generator.should.have.deep.property('collection.entries.queue[1].entry', 'Weekly')
+    })
+
+    it('should output a Markdown tracklist with a section per group', function () {
+      standIn.reset()
+      standIn.tracks.a = {album: {name: 'Album', images: [{url: 'http://img/a.jpg'}]}}
+      standIn.tracks.b = {album: {name: 'Other | B-sides'}, duration_ms: 3400000}
+      var generator = standIn.generator('#format markdown\n' +
+                                        '#group by album\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c')
+      return generator.generate().then(function (result) {
+        result.should.eql('# Playlist\n' +
+                          '\n' +
+                          '3 tracks, 1:03:20\n' +
+                          '\n' +
+                          '## Album\n' +
+                          '\n' +
+                          '2 tracks, 6:40\n' +
+                          '\n' +
+                          '| # | Artist | Title | Album | Duration | Cover |\n' +
+                          '| ---: | --- | --- | --- | ---: | --- |\n' +
+                          '| 1 | Artist | Track a | Album | 3:20 | [Cover](http://img/a.jpg) |\n' +
+                          '| 2 | Artist | Track c | Album | 3:20 |  |\n' +
+                          '\n' +
+                          '## Other \\| B-sides\n' +
+                          '\n' +
+                          '1 track, 56:40\n' +
+                          '\n' +
+                          '| # | Artist | Title | Album | Duration | Cover |\n' +
+                          '| ---: | --- | --- | --- | ---: | --- |\n' +
+                          '| 3 | Artist | Track b | Other \\| B-sides | 56:40 |  |')
+      })
+    })
+
+    it('should output a Markdown tracklist of an album', function () {
+      standIn.reset()
+      standIn.albums.abc = {name: 'Album', images: [{url: 'http://img/abc.jpg'}], tracks: ['a', 'b']}
+      var generator = standIn.generator('#format markdown\n' +
+                                        'spotify:album:abc')
+      return generator.generate().then(function (result) {
+        result.should.eql('# Playlist\n' +
+                          '\n' +
+                          '2 tracks, 6:40\n' +
+                          '\n' +
+                          '| # | Artist | Title | Album | Duration | Cover |\n' +
+                          '| ---: | --- | --- | --- | ---: | --- |\n' +
+                          '| 1 | Artist | Track a | Album | 3:20 | [Cover](http://img/abc.jpg) |\n' +
+                          '| 2 | Artist | Track b | Album | 3:20 | [Cover](http://img/abc.jpg) |')
+      })
+    })
+
+    it('should output an HTML tracklist', function () {
+      standIn.reset()
+      standIn.tracks.a = {album: {name: 'Rock & Roll', images: [{url: 'http://img/a.jpg'}]}}
+      var generator = standIn.generator('#save Weekly <1>\n' +
+                                        'spotify:track:a')
+      generator.collection.dryRun = true
+      return generator.generate('html').then(function (result) {
+        result.should.eql('<!DOCTYPE html>\n' +
+                          '<html>\n' +
+                          '<head>\n' +
+                          '  <meta charset="utf-8">\n' +
+                          '  <title>Weekly &lt;1&gt;</title>\n' +
+                          '</head>\n' +
+                          '<body>\n' +
+                          '  <h1>Weekly &lt;1&gt;</h1>\n' +
+                          '  <p>1 track, 3:20</p>\n' +
+                          '  <table>\n' +
+                          '    <thead>\n' +
+                          '      <tr><th>#</th><th>Artist</th><th>Title</th><th>Album</th><th>Duration</th><th>Cover</th></tr>\n' +
+                          '    </thead>\n' +
+                          '    <tbody>\n' +
+                          '      <tr><td>1</td><td>Artist</td><td>Track a</td><td>Rock &amp; Roll</td>' +
+                          '<td>3:20</td><td><a href="http://img/a.jpg">Cover</a></td></tr>\n' +
+                          '    </tbody>\n' +
+                          '  </table>\n' +
+                          '</body>\n' +
+                          '</html>')
+      })
+    })
+
+    it('should parse #curve entries', function () {
+      var generator = new Generator('#curve energy arc\ntest1')
+      generator.collection.curving.should.eql({prop: 'energy', shape: 'arc', points: null})
+      generator = new Generator('#curve tempo 90, 130,160,100\ntest1')
+      generator.collection.curving.should.eql({prop: 'tempo', shape: null, points: [90, 130, 160, 100]})
+      generator = new Generator('#curve tempo sideways\ntest1')
+      chai.expect(generator.collection.curving).to.eql(null)
+    })
+
+    it('should arrange tracks along a #curve', function () {
+      standIn.reset()
+      standIn.features.a = {energy: 0.9}
+      standIn.features.b = {energy: 0.1}
+      standIn.features.c = {energy: 0.5}
+      standIn.features.d = {energy: 0.7}
+      standIn.features.e = {energy: 0.3}
+      var generator = standIn.generator('#curve energy rise\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:d\n' +
+                                        'spotify:track:e')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:b\n' +
+                          'spotify:track:e\n' +
+                          'spotify:track:c\n' +
+                          'spotify:track:d\n' +
+                          'spotify:track:a')
+      })
+    })
+
+    it('should parse #concurrency entries', function () {
+      var generator = new Generator('#concurrency 4\ntest')
+      generator.should.have.deep.property('spotify.concurrency', 4)
+    })
+
+    it('should look up entries concurrently and preserve their order', function () {
+      standIn.reset()
+      var generator = standIn.generator('#concurrency 3\n' +
+                                        'spotify:track:a\n' +
+                                        'spotify:track:b\n' +
+                                        'spotify:track:c\n' +
+                                        'spotify:track:d\n' +
+                                        '#order by name')
+      return generator.generate().then(function (result) {
+        result.should.eql('spotify:track:a\n' +
+                          'spotify:track:b\n' +
+                          'spotify:track:c\n' +
+                          'spotify:track:d')
+        standIn.requests.should.have.length(4)
+      })
+    })
+
+    it('should parse #save entries', function () {
+      var generator = new Generator('#save "My Playlist"\ntest')
+      generator.should.have.deep.property('collection.playlistName', 'My Playlist')
+    })
+
+    it('should save the playlist in batches of 100 tracks', function () {
+      standIn.reset()
+      var uris = []
+      for (var i = 0; i < 250; i++) {
+        uris.push('spotify:track:' + ('0000000000000000000000' + i).slice(-22))
+      }
+      var generator = standIn.generator('#save Test\n' + uris.join('\n'))
+      return generator.generate().then(function () {
+        var batches = standIn.requests.filter(function (req) {
+          return req.path.match(/\/tracks$/)
+        }).map(function (req) {
+          return req.body.uris.length
+        })
+        batches.should.eql([100, 100, 50])
+        standIn.playlists.playlist0.should.eql(uris)
+        generator.should.have.deep.property('collection.playlist.uri',
+                                            'spotify:user:testuser:playlist:playlist0')
+      })
+    })
+  })
 })